@@ -0,0 +1,99 @@
+import { parseStandupReply, isNoBlockersAnswer, NEGATION, DEFAULT_REPLY_SECTIONS } from './standup-reply.js';
+import { parseTimeOfDay } from './time.js';
+import { translate } from './i18n.js';
+import { escapeRegExp, condense } from './text.js';
+
+// Words that mark a blocker anywhere in a reply (matched at the start of a
+// word, case-insensitively)
+export const DEFAULT_BLOCKER_KEYWORDS = [
+  'блокер', 'блокир', 'заблокир', 'жду', 'ждём', 'застрял',
+  'blocker', 'blocked', 'waiting on', 'waiting for', 'stuck'
+];
+
+// Longest blocker text kept per person
+const MAX_BLOCKER_LENGTH = 300;
+
+/**
+ * Split text into sentences and "..., but ..." clauses
+ */
+function splitClauses(text) {
+  return text
+    .split(/[.!?;\n]+|,\s*(?=(?:but|но|а|однако)\s)/i)
+    .map(clause => clause.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a clause mentions a blocker keyword that isn't negated
+ * ("нет блокеров", "Blockers: none")
+ */
+function mentionsBlocker(clause, keywords) {
+  return keywords.some(keyword => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}[\\p{L}\\p{N}'’]*`, 'iu');
+    const match = clause.match(pattern);
+    if (!match) return false;
+
+    const before = clause.slice(0, match.index);
+    const after = clause.slice(match.index + match[0].length).replace(/^[\s:*_]+/, '');
+    return !NEGATION.test(before) && !isNoBlockersAnswer(after);
+  });
+}
+
+/**
+ * Strip a "Blockers:" label off a clause ("Блокеры: жду ревью" → "жду ревью")
+ */
+function stripSectionLabel(clause, keywords) {
+  if (keywords.length === 0) return clause;
+
+  const label = new RegExp(`^[*_]*(?:${keywords.map(escapeRegExp).join('|')})[\\p{L}\\p{N}'’]*[*_]*\\s*:[*_\\s]*`, 'iu');
+  return clause.replace(label, '') || clause;
+}
+
+/**
+ * Find the blocker in one standup reply, or null. Sentences with a blocker
+ * keyword count ("жду доступ от админов", "blocked by CI"; without a
+ * "Блокеры:" label), unless the "Blockers" section says there are none
+ * ("Блокеры: нет"); a "Blockers" section without keywords ("3. нужен
+ * доступ к S3") counts as well
+ */
+export function detectBlocker(text, { keywords = DEFAULT_BLOCKER_KEYWORDS, sections = DEFAULT_REPLY_SECTIONS } = {}) {
+  const value = String(text || '');
+  const section = (parseStandupReply(value, sections).blockers || '').trim();
+  if (section && isNoBlockersAnswer(section)) return null;
+
+  // Keywords of the "Blockers" section mark a blocker too, so an inline one
+  // keeps its clause ("blocked by VPN") rather than the text after it
+  const sectionKeywords = sections.blockers?.keywords || [];
+  const clauses = splitClauses(value)
+    .filter(clause => mentionsBlocker(clause, [...keywords, ...sectionKeywords]))
+    .map(clause => stripSectionLabel(clause, sectionKeywords));
+  if (clauses.length > 0) return condense(clauses.join('; '), MAX_BLOCKER_LENGTH);
+  return section ? condense(section, MAX_BLOCKER_LENGTH) : null;
+}
+
+/**
+ * Build the "Blockers today" message in the given locale: one line per
+ * person with a link to their reply
+ */
+export function buildBlockersText({ team, date, blockers, locale = team.locale }) {
+  const reply = translate(locale, 'blockers.reply');
+  const lines = blockers.map(blocker => `• <@${blocker.id}>: ${blocker.text} <${blocker.link}|${reply}>`);
+  return `${translate(locale, 'blockers.header', { team: team.name, date, count: blockers.length })}\n${lines.join('\n')}`;
+}
+
+/**
+ * Return list of problems with a team's "blockers" config
+ */
+export function validateBlockers(blockers) {
+  const errors = [];
+
+  if (!Array.isArray(blockers.keywords) || blockers.keywords.length === 0 ||
+      blockers.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+    errors.push('"blockers.keywords" must be a non-empty array of words');
+  }
+  if (blockers.postAt && parseTimeOfDay(blockers.postAt) === null) {
+    errors.push(`invalid blockers.postAt "${blockers.postAt}" (expected HH:MM)`);
+  }
+
+  return errors;
+}
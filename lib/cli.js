@@ -0,0 +1,29 @@
+/**
+ * Check if a boolean command line flag (e.g. --dry-run) was passed
+ */
+export function hasFlag(name, argv = process.argv.slice(2)) {
+  return argv.includes(`--${name}`);
+}
+
+/**
+ * Get value of a command line option given as --name=value or --name value
+ */
+export function getOption(name, argv = process.argv.slice(2)) {
+  const prefix = `--${name}=`;
+  const inline = argv.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = argv.indexOf(`--${name}`);
+  if (index !== -1 && argv[index + 1] && !argv[index + 1].startsWith('--')) {
+    return argv[index + 1];
+  }
+
+  return undefined;
+}
+
+/**
+ * Interpret an environment variable as a boolean switch
+ */
+export function isEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
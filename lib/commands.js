@@ -0,0 +1,193 @@
+import axios from 'axios';
+import { createReminder, refreshContext } from './runner.js';
+import { buildReportData } from './report.js';
+import { getDateString } from './time.js';
+import { translate, resolveLocale, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Split command text into subcommand, mentioned user IDs and other arguments
+ */
+export function parseCommandText(text = '') {
+  const [subcommand = 'help', ...rest] = text.trim().split(/\s+/).filter(Boolean);
+  const userIds = [];
+  const args = [];
+
+  rest.forEach(token => {
+    // With "Escape channels, users, and links" enabled Slack sends <@U123|name>
+    const mention = /^<@([A-Z0-9]+)(\|[^>]*)?>$/.exec(token);
+    if (mention) {
+      userIds.push(mention[1]);
+    } else {
+      args.push(token);
+    }
+  });
+
+  return { subcommand: subcommand.toLowerCase(), userIds, args };
+}
+
+/**
+ * Pick the team by explicit name argument, otherwise by the channel the command was used in
+ */
+function findTeam(teams, channelId, args) {
+  const enabledTeams = teams.filter(team => team.enabled);
+  const byName = enabledTeams.find(team => args.includes(team.name));
+  if (byName) return byName;
+
+  const byChannel = enabledTeams.filter(team => team.channel === channelId);
+  if (byChannel.length === 1) return byChannel[0];
+
+  return enabledTeams.length === 1 ? enabledTeams[0] : null;
+}
+
+/**
+ * Locale to answer a user in: their own "people" setting, otherwise the
+ * team's locale (the first enabled team's when no team was picked)
+ */
+function getCommandLocale(team, teams, userId) {
+  const source = team || teams.find(t => t.enabled);
+  return resolveLocale(source?.people[userId]?.locale) || source?.locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Send a delayed ephemeral response to the user who ran the command
+ */
+async function sendResponse(responseUrl, text) {
+  if (!responseUrl) {
+    console.log(text);
+    return;
+  }
+
+  try {
+    await axios.post(responseUrl, { response_type: 'ephemeral', text }, { timeout: 5000 });
+  } catch (error) {
+    console.error('⚠️  Error sending command response:', error.message);
+  }
+}
+
+/**
+ * Ephemeral response body
+ */
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+/**
+ * Build today's status text for a team without posting anything to Slack
+ */
+async function buildStatusText(team, context, locale) {
+  const t = (key, values) => translate(locale, key, values);
+  refreshContext(context);
+  const reminder = createReminder(team, context, { dryRun: true });
+
+  const holidayStatus = await reminder.checkHoliday();
+  if (holidayStatus.isHoliday) {
+    return t('commands.holiday', { holiday: holidayStatus.name });
+  }
+
+  const standupTs = await reminder.findTodayStandupMessage();
+  if (!standupTs) {
+    return t('commands.noStandup', { team: team.name });
+  }
+
+  const status = await reminder.collectStatus(standupTs);
+  if (!status) {
+    return t('commands.noMembers', { team: team.name });
+  }
+
+  const data = buildReportData({
+    team,
+    standupTs,
+    threadLink: reminder.getThreadLink(standupTs),
+    ...status,
+    remindersByUser: context.state.getRemindersByUser(team.channel, standupTs),
+    skippedUsers: reminder.skippedUsers
+  });
+
+  const mentions = users => users.map(user => `<@${user.id}>`).join(', ');
+  const skipped = Object.values(data.skippedUsers).flat();
+  const lines = [t('commands.status', { team: team.name, completion: data.completion, replied: data.replied.length, expected: data.expected })];
+
+  if (data.replied.length > 0) lines.push(t('commands.statusReplied', { users: mentions(data.replied) }));
+  if (data.missing.length > 0) lines.push(t('commands.statusMissing', { users: mentions(data.missing) }));
+  if (skipped.length > 0) lines.push(t('commands.statusSkipped', { users: skipped.join(', ') }));
+  lines.push(`<${data.threadLink}|${t('commands.openThread')}>`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Send reminders for a team now and describe the result
+ */
+async function remindNow(team, context, stageName, locale) {
+  refreshContext(context);
+  const probe = createReminder(team, context);
+  const stage = stageName || probe.selectStage()?.name || team.stages[0].name;
+
+  const result = await createReminder(team, context, { stageName: stage }).run();
+  if (result.status === 'completed') {
+    return result.reminded > 0 ?
+      translate(locale, 'commands.reminded', { count: result.reminded, stage }) :
+      translate(locale, 'commands.nobodyToRemind', { stage });
+  }
+  return translate(locale, 'commands.notSent', { status: result.status });
+}
+
+/**
+ * Handle a /standup slash command; returns the immediate response body.
+ * Slow subcommands are acknowledged first and answered via response_url
+ */
+export async function handleSlashCommand(params, { teams, context, preferences }) {
+  const { subcommand, userIds, args } = parseCommandText(params.text);
+  const requesterId = params.user_id;
+  const team = findTeam(teams, params.channel_id, args);
+  const locale = getCommandLocale(team, teams, requesterId);
+  const t = (key, values) => translate(locale, key, values);
+
+  if (!['status', 'remind', 'skip'].includes(subcommand)) {
+    return ephemeral(t('commands.help').join('\n'));
+  }
+
+  if (!team) {
+    const names = teams.filter(entry => entry.enabled).map(entry => `\`${entry.name}\``).join(', ');
+    return ephemeral(t('commands.unknownTeam', { teams: names }));
+  }
+
+  console.log(`💬 /standup ${subcommand} from ${requesterId} for team ${team.name}`);
+
+  if (subcommand === 'skip') {
+    if (userIds.length === 0) {
+      return ephemeral(t('commands.skipNoUser'));
+    }
+
+    // Anyone may skip themselves; only a lead (of the team, a lead stage or
+    // blockers) may skip others, so nobody can when the team has no lead
+    const leads = new Set([
+      ...[].concat(team.lead || []),
+      ...team.stages.flatMap(stage => [].concat(stage.lead || [])),
+      ...[].concat(team.blockers?.lead || [])
+    ]);
+    const allowed = leads.has(requesterId) || userIds.every(userId => userId === requesterId);
+    if (!allowed) {
+      return ephemeral(t('commands.skipNotAllowed'));
+    }
+
+    const today = getDateString(new Date(), team.timezone);
+    preferences.load();
+    userIds.forEach(userId => preferences.setChoice(userId, 'off_today', today));
+    return ephemeral(t('commands.skipped', { users: userIds.map(userId => `<@${userId}>`).join(', ') }));
+  }
+
+  const work = subcommand === 'status' ?
+    () => buildStatusText(team, context, locale) :
+    () => remindNow(team, context, args.find(arg => team.stages.some(stage => stage.name === arg)), locale);
+
+  // Respond within Slack's 3 second limit, deliver the result afterwards
+  work()
+    .then(text => sendResponse(params.response_url, text))
+    .catch(error => {
+      console.error(`❌ Error in /standup ${subcommand}:`, error.message);
+      return sendResponse(params.response_url, t('commands.error', { error: error.message }));
+    });
+
+  return ephemeral(t(subcommand === 'status' ? 'commands.collectingStatus' : 'commands.sendingReminders'));
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const YEARLY_DATE = /^\d{2}-\d{2}$/;
+
+/**
+ * Load company holiday entries given inline (array) or as a path to a JSON file
+ */
+export function loadCompanyHolidays(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  const filePath = path.resolve(value);
+  try {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(entries) ? entries : entries.holidays || [];
+  } catch (error) {
+    throw new Error(`Failed to read company holidays ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize an entry to { name, start, end, yearly }.
+ * Dates are "YYYY-MM-DD", or "MM-DD" for entries recurring every year
+ */
+function normalizeEntry(entry) {
+  const start = entry.start || entry.date;
+  const end = entry.end || start;
+
+  return {
+    name: entry.name || 'Company holiday',
+    start,
+    end,
+    yearly: YEARLY_DATE.test(start || '')
+  };
+}
+
+/**
+ * Return list of problems with company holiday entries (empty if valid)
+ */
+export function validateCompanyHolidays(entries) {
+  if (!Array.isArray(entries)) return ['"companyHolidays" must be an array or a file path'];
+
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const { start, end, yearly } = normalizeEntry(entry);
+    const label = `company holiday ${entry.name ? `"${entry.name}"` : index + 1}`;
+    const pattern = yearly ? YEARLY_DATE : FULL_DATE;
+
+    if (!pattern.test(start || '') || !pattern.test(end || '')) {
+      errors.push(`${label} needs "date" or "start"/"end" as YYYY-MM-DD, or MM-DD for every year`);
+    } else if (!yearly && end < start) {
+      errors.push(`${label} ends before it starts`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Company-wide days off (shutdowns, offsites) that public holiday
+ * calendars don't know about
+ */
+class CompanyHolidays {
+  constructor(entries = []) {
+    this.entries = entries.map(normalizeEntry);
+  }
+
+  /**
+   * Find the entry covering a date ("YYYY-MM-DD"), or null
+   */
+  find(dateStr) {
+    const monthDay = dateStr.slice(5);
+
+    return this.entries.find(entry => {
+      if (!entry.yearly) {
+        return entry.start <= dateStr && dateStr <= entry.end;
+      }
+      // Yearly ranges may wrap around New Year, e.g. 12-24 to 01-02
+      return entry.start <= entry.end ?
+        entry.start <= monthDay && monthDay <= entry.end :
+        monthDay >= entry.start || monthDay <= entry.end;
+    }) || null;
+  }
+
+  /**
+   * Check if a date is a company holiday
+   */
+  check(dateStr) {
+    const entry = this.find(dateStr);
+    return entry ?
+      { isHoliday: true, name: entry.name, type: 'company' } :
+      { isHoliday: false };
+  }
+
+  /**
+   * Get the first company holiday starting after a date, or null
+   */
+  getNext(dateStr) {
+    const year = Number(dateStr.slice(0, 4));
+
+    const upcoming = this.entries
+      .flatMap(entry => entry.yearly ?
+        [year, year + 1].map(y => ({ name: entry.name, date: `${y}-${entry.start}` })) :
+        [{ name: entry.name, date: entry.start }])
+      .filter(holiday => holiday.date > dateStr)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return upcoming[0] || null;
+  }
+}
+
+export default CompanyHolidays;
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import { parseTimeOfDay, isValidTimeZone } from './time.js';
+import { validateLeaveProviders } from './leave/index.js';
+import { validateHolidayCalendar } from './holidays.js';
+import { DEFAULT_LEAVE_TYPES, validateLeaveTypes } from './leave/policy.js';
+import { loadCompanyHolidays, validateCompanyHolidays } from './company-holidays.js';
+import { validatePrompt } from './prompt.js';
+import { buildReplySections, validateReplyValidation } from './standup-reply.js';
+import { validateDigest } from './digest/index.js';
+import { DEFAULT_BLOCKER_KEYWORDS, validateBlockers } from './blockers.js';
+import { LOCALES, DEFAULT_LOCALE, resolveLocale, validateLocalizedText } from './i18n.js';
+import { REMINDER_LAYOUTS, validateReminderText } from './reminder-template.js';
+
+const DEFAULT_CONFIG_FILE = 'teams.json';
+
+const DEFAULT_TEAM = {
+  keywords: 'standup,стендап,daily',
+  locale: DEFAULT_LOCALE,
+  deadline: '13:00',
+  // Time of day splitting morning and afternoon half-day leave
+  halfDaySplit: '12:00',
+  holidays: { country: 'GB', region: 'ENG' },
+  scheduleDays: '1-5'
+};
+
+// Escalation stage types: mention in thread, direct message, notice to team lead
+const STAGE_TYPES = ['thread', 'dm', 'lead'];
+
+/**
+ * Normalize keywords given either as comma-separated string or array
+ */
+function normalizeKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+  return list
+    .map(keyword => String(keyword).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize escalation stages (default: single thread reminder, always due)
+ */
+function normalizeStages(team) {
+  const stages = Array.isArray(team.stages) && team.stages.length > 0 ?
+    team.stages : [{ name: 'thread', type: 'thread' }];
+
+  return stages.map((stage, index) => {
+    const type = stage.type || 'thread';
+    const lead = stage.lead || team.lead;
+
+    return {
+      ...stage,
+      name: stage.name || `${type}-${index + 1}`,
+      type,
+      at: stage.at || null,
+      lead: lead ? [].concat(lead) : []
+    };
+  });
+}
+
+/**
+ * Merge holiday calendars; a different country doesn't inherit the base region
+ */
+function mergeHolidays(base, override) {
+  if (!override) return base;
+  if (override.country && override.country !== base.country) return { ...override };
+  return { ...base, ...override };
+}
+
+/**
+ * Normalize per-person overrides, keyed by Slack user ID
+ */
+function normalizePeople(people) {
+  return Object.fromEntries(Object.entries(people || {}).map(([userId, person]) => [
+    userId,
+    {
+      ...person,
+      holidays: person.holidays ? { ...person.holidays } : null
+    }
+  ]));
+}
+
+/**
+ * Normalize reply validation settings ("true" checks the default
+ * sections); null when replies aren't validated
+ */
+function normalizeReplyValidation(replyValidation) {
+  if (!replyValidation) return null;
+
+  const settings = replyValidation === true ? {} : replyValidation;
+  return {
+    ...settings,
+    required: settings.required || ['yesterday', 'today', 'blockers'],
+    sections: buildReplySections(settings.keywords)
+  };
+}
+
+/**
+ * Normalize blocker alert settings; leads default to the team lead.
+ * Null when blockers aren't collected
+ */
+function normalizeBlockers(blockers, team) {
+  if (!blockers) return null;
+
+  const settings = blockers === true ? {} : blockers;
+  const lead = settings.lead || team.lead;
+  return {
+    ...settings,
+    keywords: settings.keywords ? [].concat(settings.keywords) : DEFAULT_BLOCKER_KEYWORDS,
+    lead: lead ? [].concat(lead) : []
+  };
+}
+
+/**
+ * Merge team entry with defaults and normalize its fields
+ */
+function normalizeTeam(entry, defaults, index) {
+  const team = {
+    ...DEFAULT_TEAM,
+    ...defaults,
+    ...entry,
+    holidays: mergeHolidays(mergeHolidays(DEFAULT_TEAM.holidays, defaults.holidays), entry.holidays),
+    people: normalizePeople({ ...defaults.people, ...entry.people }),
+    leaveTypes: { ...DEFAULT_LEAVE_TYPES, ...defaults.leaveTypes, ...entry.leaveTypes }
+  };
+
+  team.name = team.name || team.channel || `team-${index + 1}`;
+  team.keywords = normalizeKeywords(team.keywords);
+  team.locale = resolveLocale(team.locale) || team.locale;
+  team.userLocales = team.userLocales === true;
+  team.standupBotIds = team.standupBotIds ? [].concat(team.standupBotIds) : [];
+  team.prompt = { fallback: false, ...team.prompt };
+  team.replyValidation = normalizeReplyValidation(team.replyValidation);
+  team.deadlineNotice = team.deadlineNotice === true ? {} : (team.deadlineNotice || null);
+  team.digest = team.digest ? { extractor: 'rules', ...(team.digest === true ? {} : team.digest) } : null;
+  team.blockers = normalizeBlockers(team.blockers, team);
+  team.enabled = team.enabled !== false;
+  team.interactive = team.interactive === true;
+  team.reminderLayout = team.reminderLayout || 'text';
+  team.stages = normalizeStages(team);
+  team.timezone = team.timezone || process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  team.schedule = team.schedule ? [].concat(team.schedule) : [];
+  try {
+    team.companyHolidays = loadCompanyHolidays(team.companyHolidays);
+  } catch (error) {
+    // Reported by validateTeam, so only this team fails
+    team.companyHolidaysError = error.message;
+    team.companyHolidays = [];
+  }
+
+  return team;
+}
+
+/**
+ * Return list of problems with a team definition (empty if valid)
+ */
+export function validateTeam(team) {
+  const errors = [];
+
+  if (!team.channel) errors.push('missing "channel"');
+  if (!team.userGroupId) errors.push('missing "userGroupId"');
+  if (team.keywords.length === 0 && !team.standupPattern && !team.standupEventType) {
+    errors.push('no standup keywords, "standupPattern" or "standupEventType"');
+  }
+  if (team.standupPattern) {
+    try {
+      new RegExp(team.standupPattern, 'i');
+    } catch (error) {
+      errors.push(`invalid standupPattern: ${error.message}`);
+    }
+  }
+  if (!LOCALES.includes(team.locale)) {
+    errors.push(`unsupported locale "${team.locale}" (expected ${LOCALES.join(', ')})`);
+  }
+  errors.push(...validateReminderText(team.reminderText, 'reminderText'));
+  if (!REMINDER_LAYOUTS.includes(team.reminderLayout)) {
+    errors.push(`unknown reminderLayout "${team.reminderLayout}" (expected ${REMINDER_LAYOUTS.join(', ')})`);
+  }
+  errors.push(...validatePrompt(team.prompt));
+  if (team.replyValidation) {
+    errors.push(...validateReplyValidation(team.replyValidation));
+    errors.push(...validateLocalizedText(team.replyValidation.text, 'replyValidation.text'));
+  }
+  if (team.deadline && parseTimeOfDay(team.deadline) === null) {
+    errors.push(`invalid deadline "${team.deadline}" (expected HH:MM)`);
+  }
+  if (team.deadlineNotice && !team.deadline) {
+    errors.push('"deadlineNotice" requires a "deadline"');
+  }
+  if (team.deadlineNotice) errors.push(...validateLocalizedText(team.deadlineNotice.text, 'deadlineNotice.text'));
+  if (team.digest) {
+    errors.push(...validateDigest(team.digest));
+    if (!team.deadline && !team.digest.postAt) errors.push('"digest" requires a "deadline" or "digest.postAt"');
+  }
+  if (team.blockers) {
+    errors.push(...validateBlockers(team.blockers));
+    if (!team.deadline && !team.blockers.postAt) errors.push('"blockers" requires a "deadline" or "blockers.postAt"');
+  }
+
+  if (parseTimeOfDay(team.halfDaySplit) === null) {
+    errors.push(`invalid halfDaySplit "${team.halfDaySplit}" (expected HH:MM)`);
+  }
+
+  if (team.reportAt && parseTimeOfDay(team.reportAt) === null) {
+    errors.push(`invalid reportAt "${team.reportAt}" (expected HH:MM)`);
+  }
+  if (team.reportAt && !team.reportChannel) {
+    errors.push('"reportAt" requires a "reportChannel"');
+  }
+  if (!isValidTimeZone(team.timezone)) {
+    errors.push(`unknown timezone "${team.timezone}"`);
+  }
+  team.schedule.forEach(expression => {
+    if (!cron.validate(expression)) errors.push(`invalid cron schedule "${expression}"`);
+  });
+  if (!cron.validate(`0 0 * * ${team.scheduleDays}`)) {
+    errors.push(`invalid scheduleDays "${team.scheduleDays}"`);
+  }
+
+  const holidayError = validateHolidayCalendar(team.holidays);
+  if (holidayError) errors.push(holidayError);
+  if (team.companyHolidaysError) errors.push(team.companyHolidaysError);
+  errors.push(...validateCompanyHolidays(team.companyHolidays));
+  errors.push(...validateLeaveTypes(team.leaveTypes));
+  Object.entries(team.people).forEach(([userId, person]) => {
+    const personError = person.holidays && validateHolidayCalendar(person.holidays);
+    if (personError) errors.push(`person ${userId}: ${personError}`);
+    if (person.locale && !resolveLocale(person.locale)) {
+      errors.push(`person ${userId}: unsupported locale "${person.locale}" (expected ${LOCALES.join(', ')})`);
+    }
+  });
+
+  if (team.leaveProviders !== undefined) {
+    if (Array.isArray(team.leaveProviders)) {
+      errors.push(...validateLeaveProviders(team.leaveProviders));
+    } else {
+      errors.push('"leaveProviders" must be an array');
+    }
+  }
+
+  const stageNames = new Set();
+  team.stages.forEach(stage => {
+    if (!STAGE_TYPES.includes(stage.type)) {
+      errors.push(`stage "${stage.name}" has unknown type "${stage.type}" (expected ${STAGE_TYPES.join(', ')})`);
+    }
+    if (stage.at && parseTimeOfDay(stage.at) === null) {
+      errors.push(`stage "${stage.name}" has invalid time "${stage.at}" (expected HH:MM)`);
+    }
+    errors.push(...validateReminderText(stage.text, `stages.${stage.name}.text`));
+    if (stage.layout && !REMINDER_LAYOUTS.includes(stage.layout)) {
+      errors.push(`stage "${stage.name}" has unknown layout "${stage.layout}" (expected ${REMINDER_LAYOUTS.join(', ')})`);
+    }
+    if (stage.type === 'lead' && stage.lead.length === 0) {
+      errors.push(`stage "${stage.name}" needs a "lead" user ID`);
+    }
+    if (stageNames.has(stage.name)) {
+      errors.push(`duplicate stage name "${stage.name}"`);
+    }
+    stageNames.add(stage.name);
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve path of the teams config file, or null if none is configured
+ */
+export function resolveConfigPath(env = process.env) {
+  if (env.TEAMS_CONFIG) {
+    return path.resolve(env.TEAMS_CONFIG);
+  }
+
+  const defaultPath = path.resolve(DEFAULT_CONFIG_FILE);
+  return fs.existsSync(defaultPath) ? defaultPath : null;
+}
+
+/**
+ * Load team definitions from the config file, falling back to the
+ * single CHANNEL_ID / USERGROUP_ID team from environment variables
+ */
+export function loadTeams(env = process.env) {
+  const configPath = resolveConfigPath(env);
+
+  if (!configPath) {
+    return [normalizeTeam({
+      name: 'default',
+      channel: env.CHANNEL_ID,
+      userGroupId: env.USERGROUP_ID,
+      keywords: env.STANDUP_KEYWORDS || DEFAULT_TEAM.keywords,
+      reminderText: env.REMINDER_TEXT || null,
+      locale: env.LOCALE || DEFAULT_TEAM.locale
+    }, {}, 0)];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read teams config ${configPath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(config) ? config : config.teams;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Teams config ${configPath} does not define any teams`);
+  }
+
+  const defaults = Array.isArray(config) ? {} : (config.defaults || {});
+  return entries.map((entry, index) => normalizeTeam(entry, defaults, index));
+}
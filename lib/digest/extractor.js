@@ -0,0 +1,53 @@
+import { isNoBlockersAnswer, DANGLING_NEGATION } from '../standup-reply.js';
+
+/**
+ * Trim section text; text without letters or digits is empty (null)
+ */
+function cleanSection(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().replace(DANGLING_NEGATION, '').trim();
+  return /[\p{L}\p{N}]/u.test(text) ? text : null;
+}
+
+/**
+ * Base class for digest extractors, which pull the "Today" and "Blockers"
+ * parts out of a standup reply.
+ *
+ * Implementations provide:
+ *   - extractSections(text) → { today, blockers } (strings, or null if absent)
+ */
+class DigestExtractor {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async extractSections(text) {
+    throw new Error(`${this.constructor.name} must implement extractSections()`);
+  }
+
+  /**
+   * Extract "Today" and "Blockers" from a reply; "no blockers" answers
+   * and empty or punctuation-only sections become null
+   */
+  async extract(text) {
+    const { today = null, blockers = null } = await this.extractSections(text);
+    const blockersText = isNoBlockersAnswer(String(blockers ?? '')) ? null : cleanSection(blockers);
+
+    return { today: cleanSection(today), blockers: blockersText };
+  }
+
+  /**
+   * Extract from each of a person's replies on its own and merge the results
+   */
+  async extractAll(texts) {
+    const parts = [];
+    for (const text of texts) {
+      parts.push(await this.extract(text));
+    }
+
+    const merge = key => parts.map(part => part[key]).filter(Boolean).join('\n') || null;
+    return { today: merge('today'), blockers: merge('blockers') };
+  }
+}
+
+export default DigestExtractor;
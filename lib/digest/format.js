@@ -0,0 +1,92 @@
+import { getDateString } from '../time.js';
+import { translate } from '../i18n.js';
+import { condense } from '../text.js';
+
+// Slack limits section text to 3000 characters
+const MAX_SECTION_LENGTH = 2900;
+
+// Longest text kept per person and section
+const MAX_ITEM_LENGTH = 300;
+
+/**
+ * Split lines into section blocks under a title, each within Slack's limit
+ */
+function buildListSections(title, lines) {
+  const sections = [];
+  let current = title;
+
+  lines.forEach(line => {
+    if (current.length + line.length + 1 > MAX_SECTION_LENGTH) {
+      sections.push(current);
+      current = line;
+    } else {
+      current = `${current}\n${line}`;
+    }
+  });
+  sections.push(current);
+
+  return sections.map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }));
+}
+
+/**
+ * Combine extracted replies into digest data; entries are
+ * [{ id, ts, link, today, blockers, text }] in reply order
+ */
+export function buildDigestData({ team, standupTs, threadLink, entries, expected }) {
+  const date = getDateString(new Date(Number(standupTs) * 1000), team.timezone);
+  const blockers = entries.filter(entry => entry.blockers);
+
+  return {
+    team: team.name,
+    locale: team.locale,
+    date,
+    threadLink,
+    entries,
+    blockers,
+    expected,
+    fallbackText: translate(team.locale, 'digest.fallback', { team: team.name, date, count: entries.length, blockers: blockers.length })
+  };
+}
+
+/**
+ * Build Block Kit blocks for the digest: blockers first, then what each
+ * person plans today
+ */
+export function buildDigestBlocks(data) {
+  const t = (key, values) => translate(data.locale, key, values);
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: t('digest.header', { team: data.team, date: data.date }) }
+    }
+  ];
+
+  if (data.blockers.length > 0) {
+    const lines = data.blockers.map(entry => `• <@${entry.id}>: ${condense(entry.blockers, MAX_ITEM_LENGTH)} <${entry.link}|→>`);
+    blocks.push(...buildListSections(t('digest.blockers', { count: data.blockers.length }), lines));
+  } else {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: t('digest.noBlockers') } });
+  }
+
+  if (data.entries.length > 0) {
+    blocks.push({ type: 'divider' });
+    const lines = data.entries.map(entry => {
+      const today = entry.today || (entry.blockers ? null : entry.text);
+      return `• <@${entry.id}>: ${today ? condense(today, MAX_ITEM_LENGTH) : t('digest.noPlan')}`;
+    });
+    blocks.push(...buildListSections(t('digest.today'), lines));
+  }
+
+  const replied = data.expected ?
+    t('digest.repliedOf', { count: data.entries.length, expected: data.expected }) :
+    t('digest.replied', { count: data.entries.length });
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: `${replied} · <${data.threadLink}|${t('digest.openThread')}>`
+    }]
+  });
+
+  return blocks;
+}
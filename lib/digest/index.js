@@ -0,0 +1,45 @@
+import RuleDigestExtractor from './rules.js';
+import LlmDigestExtractor from './llm.js';
+import { parseTimeOfDay } from '../time.js';
+
+export const DIGEST_EXTRACTORS = ['rules', 'llm'];
+
+/**
+ * Return list of problems with a team's "digest" config
+ */
+export function validateDigest(digest) {
+  const errors = [];
+
+  if (digest.postAt && parseTimeOfDay(digest.postAt) === null) {
+    errors.push(`invalid digest.postAt "${digest.postAt}" (expected HH:MM)`);
+  }
+  if (!DIGEST_EXTRACTORS.includes(digest.extractor)) {
+    errors.push(`unknown digest extractor "${digest.extractor}" (expected ${DIGEST_EXTRACTORS.join(', ')})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build the digest extractor for a team: the local rule-based one, or the
+ * LLM one (with the rules as fallback) when configured and
+ * DIGEST_LLM_API_KEY is set. Returns null when the team has no digest
+ */
+export function createDigestExtractor(team, env = process.env) {
+  if (!team.digest) return null;
+
+  const rules = new RuleDigestExtractor({ sections: team.replyValidation?.sections, keywords: team.blockers?.keywords });
+  if (team.digest.extractor !== 'llm') return rules;
+
+  if (!env.DIGEST_LLM_API_KEY) {
+    console.warn(`⚠️  Team ${team.name}: LLM digest extractor needs DIGEST_LLM_API_KEY, using rules`);
+    return rules;
+  }
+
+  return new LlmDigestExtractor({
+    apiKey: env.DIGEST_LLM_API_KEY,
+    url: env.DIGEST_LLM_URL || undefined,
+    model: env.DIGEST_LLM_MODEL || undefined,
+    fallback: rules
+  });
+}
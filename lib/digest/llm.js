@@ -0,0 +1,49 @@
+import axios from 'axios';
+import DigestExtractor from './extractor.js';
+
+const DEFAULT_URL = 'https://api.openai.com/v1/chat/completions';
+
+const INSTRUCTIONS = 'You read daily standup replies written in Russian or English. ' +
+  'Return a JSON object {"today": string|null, "blockers": string|null}: what the person plans ' +
+  'to do today and what blocks them, each condensed to one short sentence in the language of ' +
+  'the reply. Use null when the reply does not say, and null for blockers when there are none.';
+
+/**
+ * Extractor backed by an OpenAI-compatible chat completions API. Falls
+ * back to another extractor (the rule-based one) when the API fails
+ */
+class LlmDigestExtractor extends DigestExtractor {
+  constructor({ apiKey, url = DEFAULT_URL, model = 'gpt-4o-mini', timeoutMs = 15000, fallback }) {
+    super('llm');
+    this.apiKey = apiKey;
+    this.url = url;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.fallback = fallback;
+  }
+
+  async extractSections(text) {
+    try {
+      const response = await axios.post(this.url, {
+        model: this.model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: INSTRUCTIONS },
+          { role: 'user', content: text }
+        ]
+      }, {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        timeout: this.timeoutMs
+      });
+
+      const result = JSON.parse(response.data.choices[0].message.content);
+      return { today: result.today ?? null, blockers: result.blockers ?? null };
+    } catch (error) {
+      console.warn(`⚠️  LLM digest extraction failed, using ${this.fallback.name}: ${error.message}`);
+      return this.fallback.extractSections(text);
+    }
+  }
+}
+
+export default LlmDigestExtractor;
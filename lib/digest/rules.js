@@ -0,0 +1,23 @@
+import DigestExtractor from './extractor.js';
+import { parseStandupReply, DEFAULT_REPLY_SECTIONS } from '../standup-reply.js';
+import { detectBlocker, DEFAULT_BLOCKER_KEYWORDS } from '../blockers.js';
+
+/**
+ * Local extractor reading "Today" by headings, keywords and numbering, and
+ * blockers the way the blockers notice finds them (the clause with the
+ * blocker keyword, "Blocked by CI")
+ */
+class RuleDigestExtractor extends DigestExtractor {
+  constructor({ sections = DEFAULT_REPLY_SECTIONS, keywords = DEFAULT_BLOCKER_KEYWORDS } = {}) {
+    super('rules');
+    this.sections = sections;
+    this.keywords = keywords;
+  }
+
+  async extractSections(text) {
+    const { today = null } = parseStandupReply(text, this.sections);
+    return { today, blockers: detectBlocker(text, { keywords: this.keywords, sections: this.sections }) };
+  }
+}
+
+export default RuleDigestExtractor;
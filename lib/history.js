@@ -0,0 +1,42 @@
+import JsonStore from './json-store.js';
+
+const DEFAULT_HISTORY_FILE = '.standup-history.json';
+
+/**
+ * Local JSON store of daily standup participation per team and user
+ */
+class ParticipationHistory extends JsonStore {
+  constructor(filePath = process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE, { readOnly = false } = {}) {
+    super(filePath, { readOnly, defaults: { days: {} } });
+  }
+
+  /**
+   * Record (or replace) the participation snapshot for a team's day; a
+   * final snapshot was taken after the day was over
+   */
+  recordDay({ team, date, channel, standupTs, users, final = false }) {
+    this.data.days[`${team}|${date}`] = {
+      team,
+      date,
+      channel,
+      standupTs,
+      updatedAt: new Date().toISOString(),
+      final,
+      users
+    };
+    this.save();
+  }
+
+  /**
+   * Get recorded days, optionally filtered by team and "YYYY-MM-DD" range
+   */
+  getDays({ team = null, from = null, to = null } = {}) {
+    return Object.values(this.data.days)
+      .filter(day => !team || day.team === team)
+      .filter(day => !from || day.date >= from)
+      .filter(day => !to || day.date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.team.localeCompare(b.team));
+  }
+}
+
+export default ParticipationHistory;
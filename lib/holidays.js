@@ -1,28 +1,91 @@
 import Holidays from 'date-holidays';
 import NodeCache from 'node-cache';
 import axios from 'axios';
+import { getDateString, daysBetween } from './time.js';
+import CompanyHolidays from './company-holidays.js';
 
 // Cache for 24 hours for holidays
 const cache = new NodeCache({ stdTTL: 86400 });
 
-class UKHolidayChecker {
-  constructor() {
-    // Initialize with UK holidays for England and Wales
-    this.holidays = new Holidays('GB', 'ENG');
+// gov.uk bank holiday divisions by date-holidays region code
+const GOV_DIVISIONS = {
+  ENG: 'england-and-wales',
+  WLS: 'england-and-wales',
+  SCT: 'scotland',
+  NIR: 'northern-ireland'
+};
+
+// date-holidays types that mean a day off (others are e.g. observances like Mother's Day)
+const DAY_OFF_TYPES = ['public', 'bank'];
+
+/**
+ * Return a problem with a { country, region } holiday calendar, or null if valid
+ */
+export function validateHolidayCalendar({ country, region } = {}) {
+  const holidays = new Holidays();
+  const countries = holidays.getCountries() || {};
+  if (!country || !countries[country]) {
+    return `unknown holiday country "${country}"`;
+  }
+
+  const regions = holidays.getStates(country) || {};
+  if (region && !regions[region]) {
+    return `unknown holiday region "${region}" for ${country}`;
+  }
+
+  return null;
+}
+
+/**
+ * Holiday calendar label, e.g. "GB-SCT"
+ */
+export function formatHolidayCalendar({ country, region } = {}) {
+  return region ? `${country}-${region}` : country;
+}
+
+class HolidayChecker {
+  constructor(country = 'GB', region = country === 'GB' ? 'ENG' : null, timeZone = undefined, companyHolidays = new CompanyHolidays()) {
+    // Initialize with holidays for the given country/region (England and Wales by default)
+    this.country = country;
+    this.region = region;
+    // Timezone that decides which calendar day "today" is (server timezone by default)
+    this.timeZone = timeZone;
+    // Company-wide days off (shutdowns, offsites) on top of public holidays
+    this.companyHolidays = companyHolidays;
+    this.holidays = region ? new Holidays(country, region) : new Holidays(country);
     
-    // Backup: UK Government API
+    // Backup: UK Government API (only applies to UK regions)
     this.govAPIUrl = 'https://www.gov.uk/bank-holidays.json';
+    this.govDivision = country === 'GB' ? GOV_DIVISIONS[region] || 'england-and-wales' : null;
   }
 
   /**
-   * Check if today is a UK bank holiday
+   * Calendar label used in logs, e.g. "GB-ENG"
+   */
+  get label() {
+    return formatHolidayCalendar(this);
+  }
+
+  /**
+   * Check if today is a public holiday
    */
   async isHolidayToday() {
-    const today = new Date();
-    const dateStr = today.toISOString().split('T')[0];
-    
+    return this.isHoliday(getDateString(new Date(), this.timeZone));
+  }
+
+  /**
+   * Check if a date ("YYYY-MM-DD") is a public holiday
+   */
+  async isHoliday(dateStr) {
+    // Company holidays come from local config, no need to cache them
+    const companyHoliday = this.companyHolidays.check(dateStr);
+    if (companyHoliday.isHoliday) {
+      console.log(`🎉 ${dateStr} is a company holiday: ${companyHoliday.name}`);
+      return companyHoliday;
+    }
+
     // Check cache first
-    const cacheKey = `uk_holiday_${dateStr}`;
+    const cacheKey = `holiday_${this.country}_${this.region}_${dateStr}`;
     const cached = cache.get(cacheKey);
     if (cached !== undefined) {
       console.log(`📦 Using cached holiday status for ${dateStr}: ${cached.isHoliday ? cached.name : 'Working day'}`);
@@ -30,10 +93,10 @@ class UKHolidayChecker {
     }
 
     // Try primary method: date-holidays library
-    let result = await this.checkWithLibrary(today);
+    let result = await this.checkWithLibrary(dateStr);
     
     // If no holiday found, double-check with government API
-    if (!result.isHoliday) {
+    if (!result.isHoliday && this.govDivision) {
       const govResult = await this.checkWithGovAPI(dateStr);
       if (govResult.isHoliday) {
         result = govResult;
@@ -44,22 +107,23 @@ class UKHolidayChecker {
     cache.set(cacheKey, result);
     
     if (result.isHoliday) {
-      console.log(`🎉 Today is a UK holiday: ${result.name}`);
+      console.log(`🎉 ${dateStr} is a holiday in ${this.label}: ${result.name}`);
     } else {
-      console.log('📅 Today is a working day in the UK');
+      console.log(`📅 ${dateStr} is a working day in ${this.label}`);
     }
     
     return result;
   }
 
   /**
-   * Check using date-holidays library
+   * Check using date-holidays library ("YYYY-MM-DD" date string)
    */
-  async checkWithLibrary(date) {
+  async checkWithLibrary(dateStr) {
     try {
-      const holidaysToday = this.holidays.isHoliday(date);
+      const holidaysToday = (this.holidays.isHoliday(dateStr) || [])
+        .filter(holiday => DAY_OFF_TYPES.includes(holiday.type));
       
-      if (holidaysToday && holidaysToday.length > 0) {
+      if (holidaysToday.length > 0) {
         return {
           isHoliday: true,
           name: holidaysToday[0].name,
@@ -90,13 +154,13 @@ class UKHolidayChecker {
         cache.set(cacheKey, holidaysData, 86400); // Cache for 24 hours
       }
 
-      // Check England and Wales holidays
-      const englandWales = holidaysData['england-and-wales'];
-      if (!englandWales || !englandWales.events) {
+      // Check holidays for the configured UK division
+      const division = holidaysData[this.govDivision];
+      if (!division || !division.events) {
         return { isHoliday: false };
       }
 
-      const holiday = englandWales.events.find(event => event.date === dateStr);
+      const holiday = division.events.find(event => event.date === dateStr);
       
       if (holiday) {
         return {
@@ -115,24 +179,29 @@ class UKHolidayChecker {
   }
 
   /**
-   * Get next UK holiday for informational purposes
+   * Get next holiday for informational purposes
    */
   async getNextHoliday() {
     try {
-      const today = new Date();
-      const year = today.getFullYear();
+      const todayStr = getDateString(new Date(), this.timeZone);
+      const year = Number(todayStr.slice(0, 4));
       const allHolidays = this.holidays.getHolidays(year);
       
       const futureHolidays = allHolidays
-        .filter(h => new Date(h.date) > today)
-        .sort((a, b) => new Date(a.date) - new Date(b.date));
+        .filter(h => DAY_OFF_TYPES.includes(h.type) && h.date.slice(0, 10) > todayStr);
+
+      const nextCompanyHoliday = this.companyHolidays.getNext(todayStr);
+      if (nextCompanyHoliday) {
+        futureHolidays.push(nextCompanyHoliday);
+      }
+      futureHolidays.sort((a, b) => a.date.localeCompare(b.date));
       
       if (futureHolidays.length > 0) {
         const next = futureHolidays[0];
         return {
           name: next.name,
           date: next.date,
-          daysUntil: Math.ceil((new Date(next.date) - today) / (1000 * 60 * 60 * 24))
+          daysUntil: daysBetween(todayStr, next.date.slice(0, 10))
         };
       }
       
@@ -144,11 +213,11 @@ class UKHolidayChecker {
   }
 
   /**
-   * Get list of all UK holidays for the year
+   * Get list of all holidays for the year
    */
   async getYearHolidays() {
     try {
-      const year = new Date().getFullYear();
+      const year = Number(getDateString(new Date(), this.timeZone).slice(0, 4));
       const holidays = this.holidays.getHolidays(year);
       
       return holidays.map(h => ({
@@ -163,4 +232,4 @@ class UKHolidayChecker {
   }
 }
 
-export default UKHolidayChecker;
+export default HolidayChecker;
@@ -0,0 +1,108 @@
+import ru from './locales/ru.js';
+import en from './locales/en.js';
+
+// Message catalogs of the supported locales
+const CATALOGS = { ru, en };
+
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'ru';
+
+// CLDR plural categories, in the order plural forms are written in
+// templates: "{count:ответ|ответа|ответов}", "{count:reply|replies}"
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Map a locale name ("en", "en-US", "en_GB", "RU") to a supported locale,
+ * or null if it isn't supported
+ */
+export function resolveLocale(locale) {
+  if (!locale || typeof locale !== 'string') return null;
+
+  const language = locale.toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Pick the plural form for a count from forms ordered by plural category;
+ * missing forms fall back to the last one
+ */
+function pluralize(count, forms, locale) {
+  const rules = new Intl.PluralRules(locale);
+  const categories = PLURAL_CATEGORIES.filter(category => rules.resolvedOptions().pluralCategories.includes(category));
+  const index = categories.indexOf(rules.select(count));
+  return forms[Math.min(index, forms.length - 1)].replace(/#/g, String(count));
+}
+
+/**
+ * Check whether a template section is shown: the value is set, not empty
+ * and not zero
+ */
+function isShown(value) {
+  return value !== undefined && value !== null && value !== '' && Number(value) !== 0;
+}
+
+/**
+ * Fill a template in the spirit of Mustache, with single braces:
+ * - {name} is replaced with the value;
+ * - {name:form|form|...} with the plural form for the value ("#" in a form
+ *   stands for the number);
+ * - {#name}...{/name} is kept only when the value is set and not zero,
+ *   {^name}...{/name} only when it isn't.
+ * Unknown placeholders are kept
+ */
+export function fillTemplate(template, values, locale = DEFAULT_LOCALE) {
+  const withSections = String(template).replace(/\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g, (match, type, key, body) =>
+    (isShown(values[key]) === (type === '#') ? body : ''));
+
+  return withSections.replace(/\{(\w+)(?::([^{}]*))?\}/g, (match, key, forms) => {
+    const value = values[key];
+    if (value === undefined || value === null) return match;
+    if (forms === undefined) return String(value);
+    return Number.isFinite(Number(value)) ? pluralize(Number(value), forms.split('|'), locale) : match;
+  });
+}
+
+/**
+ * Raw catalog entry for a dotted key ("report.header") in the locale,
+ * falling back to the default locale; undefined if there is none
+ */
+export function getMessage(locale, key) {
+  const find = catalog => key.split('.').reduce((node, part) => node?.[part], catalog);
+  return find(CATALOGS[locale]) ?? find(CATALOGS[DEFAULT_LOCALE]);
+}
+
+/**
+ * Catalog message for a key with variables filled in (the key itself if
+ * the catalog has no such message)
+ */
+export function translate(locale, key, values = {}) {
+  const message = getMessage(locale, key);
+  if (message === undefined) return key;
+  if (Array.isArray(message)) return message.map(item => fillTemplate(item, values, locale));
+  return fillTemplate(message, values, locale);
+}
+
+/**
+ * Pick a configured text for the locale. Texts are either a string (used
+ * for every locale) or an object keyed by locale, e.g. { ru: "...", en: "..." }
+ */
+export function localizeText(text, locale) {
+  if (!text || typeof text !== 'object' || Array.isArray(text)) return text || null;
+  return text[locale] ?? text[DEFAULT_LOCALE] ?? Object.values(text)[0] ?? null;
+}
+
+/**
+ * Return list of problems with a configured text (string or object keyed
+ * by locale)
+ */
+export function validateLocalizedText(text, field) {
+  if (text === undefined || text === null || typeof text === 'string') return [];
+  if (typeof text !== 'object' || Array.isArray(text)) {
+    return [`"${field}" must be a string or an object keyed by locale`];
+  }
+
+  return Object.entries(text).flatMap(([locale, value]) => [
+    ...(LOCALES.includes(locale) ? [] : [`"${field}" has unsupported locale "${locale}" (expected ${LOCALES.join(', ')})`]),
+    ...(typeof value === 'string' ? [] : [`"${field}.${locale}" must be a string`])
+  ]);
+}
@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { CHOICES } from './preferences.js';
+import { translate, resolveLocale, DEFAULT_LOCALE } from './i18n.js';
+
+// Prefix of action IDs on reminder buttons, followed by the choice name
+export const ACTION_PREFIX = 'standup_';
+
+/**
+ * Build the actions block with choice buttons in the recipient's locale
+ */
+export function buildChoiceActions({ team, date, locale = DEFAULT_LOCALE }) {
+  return {
+    type: 'actions',
+    block_id: 'standup_choice',
+    elements: CHOICES.map(choice => ({
+      type: 'button',
+      action_id: `${ACTION_PREFIX}${choice}`,
+      text: { type: 'plain_text', text: translate(locale, `choices.${choice}.label`) },
+      value: JSON.stringify({ team, date, locale })
+    }))
+  };
+}
+
+/**
+ * Build Block Kit blocks for a reminder with choice buttons
+ */
+export function buildReminderBlocks(text, options) {
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text }
+    },
+    buildChoiceActions(options)
+  ];
+}
+
+/**
+ * Confirm a choice privately through the interaction's response_url
+ */
+async function sendConfirmation(responseUrl, text) {
+  try {
+    await axios.post(responseUrl, { response_type: 'ephemeral', replace_original: false, text }, { timeout: 5000 });
+  } catch (error) {
+    console.error('⚠️  Error sending confirmation:', error.message);
+  }
+}
+
+/**
+ * Read the { team, date, locale } value of a choice button (null if malformed)
+ */
+function parseActionValue(value) {
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Handle a Slack interaction payload (button click on a reminder):
+ * record the clicking user's choice and confirm it to them privately. The
+ * confirmation is sent after the acknowledgement, which Slack expects
+ * within 3 seconds
+ */
+export async function handleInteraction(payload, { preferences }) {
+  if (payload.type !== 'block_actions') return null;
+
+  const action = (payload.actions || []).find(a => a.action_id?.startsWith(ACTION_PREFIX));
+  if (!action) return null;
+
+  const choice = action.action_id.slice(ACTION_PREFIX.length);
+  const userId = payload.user?.id;
+  const { team, date, locale } = parseActionValue(action.value) || {};
+
+  if (!CHOICES.includes(choice) || !userId || !date) {
+    console.warn(`⚠️  Ignoring malformed interaction: ${action.action_id}`);
+    return null;
+  }
+
+  preferences.load();
+  const saved = preferences.setChoice(userId, choice, date);
+  console.log(`🔘 ${userId} chose "${choice}" for ${team || 'standup'} (${saved.from} → ${saved.until})`);
+
+  if (payload.response_url) {
+    sendConfirmation(payload.response_url, translate(resolveLocale(locale) || DEFAULT_LOCALE, `choices.${choice}.confirmation`));
+  }
+
+  return saved;
+}
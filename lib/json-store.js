@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Base class for small local JSON file stores
+ */
+class JsonStore {
+  constructor(filePath, { readOnly = false, defaults = {} } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.readOnly = readOnly;
+    this.defaults = defaults;
+    this.load();
+  }
+
+  /**
+   * Create an empty data object from the defaults
+   */
+  emptyData() {
+    return JSON.parse(JSON.stringify(this.defaults));
+  }
+
+  /**
+   * Load data from disk (missing file means empty data)
+   */
+  load() {
+    this.data = this.emptyData();
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.data = { ...this.data, ...data };
+    } catch (error) {
+      console.error(`⚠️  Error reading ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write data to disk atomically (no-op for read-only stores)
+   */
+  save() {
+    if (this.readOnly) return;
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2) + '\n');
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+export default JsonStore;
@@ -0,0 +1,42 @@
+import LeaveProvider from './provider.js';
+
+/**
+ * Leave provider querying several sources: a user is off if any source
+ * says so, otherwise the most informative "working" answer is returned
+ */
+class CombinedLeaveProvider extends LeaveProvider {
+  constructor(providers) {
+    super(providers.map(provider => provider.name).join(', '));
+    this.providers = providers;
+  }
+
+  async getUserStatus(identity, dateStr, policy) {
+    const statuses = [];
+
+    for (const provider of this.providers) {
+      const status = await provider.getUserStatus(identity, dateStr, policy);
+      if (!status.working) return status;
+      statuses.push(status);
+    }
+
+    return statuses.find(status => status.reason === 'working_remotely') ||
+      statuses.find(status => status.reason === 'no_absence') ||
+      statuses[0];
+  }
+
+  async getLeaveSummary(dateStr) {
+    const summaries = await Promise.all(this.providers.map(provider => provider.getLeaveSummary(dateStr)));
+    const available = summaries.filter(Boolean);
+    if (available.length === 0) return null;
+
+    return available.reduce((merged, summary) => {
+      merged.total += summary.total;
+      Object.entries(summary.byType).forEach(([type, count]) => {
+        merged.byType[type] = (merged.byType[type] || 0) + count;
+      });
+      return merged;
+    }, { total: 0, byType: {} });
+  }
+}
+
+export default CombinedLeaveProvider;
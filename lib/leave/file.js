@@ -0,0 +1,92 @@
+import fs from 'fs';
+import StaticLeaveProvider from './static.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a CSV line, supporting quoted values
+ */
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+
+  return values;
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const headers = parseCsvLine(lines[0]).map(header => header.toLowerCase());
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(headers.map((header, i) => [header, values[i] || '']));
+  });
+}
+
+/**
+ * Leave provider reading absences from a local JSON or CSV file with
+ * fields: email, name, start, end (YYYY-MM-DD, inclusive), type and
+ * optional part ("am" or "pm" for half days)
+ */
+class FileLeaveProvider extends StaticLeaveProvider {
+  constructor({ path }) {
+    super(`file:${path}`);
+    this.path = path;
+  }
+
+  async loadEntries() {
+    const text = fs.readFileSync(this.path, 'utf8');
+    const rows = this.path.toLowerCase().endsWith('.csv') ? parseCsv(text) : JSON.parse(text);
+
+    if (!Array.isArray(rows)) {
+      throw new Error('expected an array of absences');
+    }
+
+    return rows.map((row, index) => {
+      const start = row.start || row.date;
+      const end = row.end || start;
+      if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) {
+        throw new Error(`entry ${index + 1} has invalid start/end date (expected YYYY-MM-DD)`);
+      }
+
+      return {
+        email: row.email || null,
+        name: row.name || null,
+        text: row.name || '',
+        start,
+        end,
+        leaveType: row.type || row.leaveType || 'Holiday',
+        part: row.part || null
+      };
+    });
+  }
+}
+
+export default FileLeaveProvider;
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import axios from 'axios';
+import StaticLeaveProvider from './static.js';
+import { getDateString, addDays } from '../time.js';
+
+/**
+ * Unfold iCalendar content lines (continuation lines start with a space or tab)
+ */
+function unfoldLines(text) {
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+/**
+ * Parse "NAME;PARAM=x:value" into { name, params, value }
+ */
+function parseProperty(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = Object.fromEntries(paramParts.map(part => {
+    const [key, value = ''] = part.split('=');
+    return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+  }));
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Unescape iCalendar TEXT values
+ */
+function unescapeText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * Convert a DTSTART/DTEND property to "YYYY-MM-DD" in the given timezone
+ */
+function toDateString(property, timeZone) {
+  const value = property.value;
+  const date = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+
+  if (property.params.VALUE === 'DATE' || value.length === 8) {
+    return date;
+  }
+
+  // Floating or TZID times are taken as local; only UTC ("Z") times are converted
+  if (!value.endsWith('Z')) {
+    return date;
+  }
+
+  const time = `${value.slice(9, 11)}:${value.slice(11, 13)}:${value.slice(13, 15)}`;
+  return getDateString(new Date(`${date}T${time}Z`), timeZone);
+}
+
+/**
+ * Parse VEVENTs of an iCalendar feed into absence entries
+ */
+export function parseIcs(text, { leaveType = 'Holiday', timeZone } = {}) {
+  const entries = [];
+  let event = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        entries.push(toEntry(event, leaveType));
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const property = parseProperty(line);
+    if (!property) continue;
+
+    switch (property.name) {
+      case 'SUMMARY':
+        event.summary = unescapeText(property.value);
+        break;
+      case 'CATEGORIES':
+        event.category = unescapeText(property.value).split(',')[0];
+        break;
+      case 'DTSTART':
+        event.start = toDateString(property, timeZone);
+        event.allDay = property.params.VALUE === 'DATE' || property.value.length === 8;
+        break;
+      case 'DTEND':
+        event.end = toDateString(property, timeZone);
+        break;
+      case 'ATTENDEE':
+      case 'ORGANIZER':
+        if (!event.email && /^mailto:/i.test(property.value)) {
+          event.email = property.value.replace(/^mailto:/i, '');
+          event.name = property.params.CN || null;
+        }
+        break;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Convert a parsed event into an absence entry
+ */
+function toEntry(event, leaveType) {
+  // All-day events have an exclusive DTEND
+  let end = event.end || event.start;
+  if (event.end && event.allDay && event.end > event.start) {
+    end = addDays(event.end, -1);
+  }
+
+  return {
+    email: event.email || null,
+    name: event.name || null,
+    text: event.summary || '',
+    start: event.start,
+    end,
+    leaveType: event.category || leaveType
+  };
+}
+
+/**
+ * Leave provider reading absences from an iCalendar (.ics) feed,
+ * e.g. a shared "Out of office" calendar, from a local file or URL
+ */
+class IcsLeaveProvider extends StaticLeaveProvider {
+  constructor({ file, url, leaveType = 'Holiday', timeZone } = {}) {
+    super(`ics:${file || url}`);
+    this.file = file;
+    this.url = url;
+    this.leaveType = leaveType;
+    this.timeZone = timeZone;
+  }
+
+  async loadEntries() {
+    const text = this.file ?
+      fs.readFileSync(this.file, 'utf8') :
+      (await axios.get(this.url, { responseType: 'text', timeout: 15000 })).data;
+
+    return parseIcs(text, { leaveType: this.leaveType, timeZone: this.timeZone });
+  }
+}
+
+export default IcsLeaveProvider;
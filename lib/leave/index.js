@@ -0,0 +1,53 @@
+import IcsLeaveProvider from './ics.js';
+import FileLeaveProvider from './file.js';
+import CombinedLeaveProvider from './combined.js';
+
+export const LEAVE_PROVIDER_TYPES = ['timetastic', 'ics', 'file'];
+
+/**
+ * Return list of problems with a team's "leaveProviders" config
+ */
+export function validateLeaveProviders(providers) {
+  const errors = [];
+
+  providers.forEach((config, index) => {
+    const label = `leave provider ${index + 1}`;
+    if (!LEAVE_PROVIDER_TYPES.includes(config.type)) {
+      errors.push(`${label} has unknown type "${config.type}" (expected ${LEAVE_PROVIDER_TYPES.join(', ')})`);
+    } else if (config.type === 'ics' && !config.file && !config.url) {
+      errors.push(`${label} (ics) needs a "file" or "url"`);
+    } else if (config.type === 'file' && !config.path) {
+      errors.push(`${label} (file) needs a "path"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build the leave provider for a team from its "leaveProviders" config.
+ * Without config, Timetastic is used when an API key is available.
+ * Returns null when no provider is configured
+ */
+export function createLeaveProvider(team, { timetastic = null } = {}) {
+  const configs = team.leaveProviders || (timetastic ? [{ type: 'timetastic' }] : []);
+
+  const providers = configs.map(config => {
+    switch (config.type) {
+      case 'timetastic':
+        if (!timetastic) {
+          console.warn(`⚠️  Team ${team.name}: Timetastic leave provider needs TIMETASTIC_API_KEY, ignoring`);
+        }
+        return timetastic;
+      case 'ics':
+        return new IcsLeaveProvider({ ...config, timeZone: team.timezone });
+      case 'file':
+        return new FileLeaveProvider(config);
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+
+  if (providers.length === 0) return null;
+  return providers.length === 1 ? providers[0] : new CombinedLeaveProvider(providers);
+}
@@ -0,0 +1,102 @@
+import { validateLocalizedText } from '../i18n.js';
+import { validateReminderText } from '../reminder-template.js';
+
+export const LEAVE_ACTIONS = ['skip', 'remind'];
+
+// Default policy: the leave types that always meant "not working".
+// Other types (Remote, Office, ...) are reminded as usual. Their labels
+// come from the locale catalogs ("skip.<category>")
+export const DEFAULT_LEAVE_TYPES = {
+  'Holiday': { action: 'skip', category: 'holiday' },
+  'Sick Leave': { action: 'skip', category: 'sickLeave' },
+  'Day off': { action: 'skip', category: 'dayOff' }
+};
+
+/**
+ * Normalize a rule given as "skip" / "remind" or as an object
+ */
+function normalizeRule(type, rule) {
+  const { action, category, label, text } = typeof rule === 'string' ? { action: rule } : (rule || {});
+
+  return {
+    type,
+    action: action || 'skip',
+    category: category || type,
+    label: label || null,
+    text: text || null
+  };
+}
+
+/**
+ * Return list of problems with a "leaveTypes" policy (empty if valid)
+ */
+export function validateLeaveTypes(leaveTypes) {
+  if (!leaveTypes || typeof leaveTypes !== 'object' || Array.isArray(leaveTypes)) {
+    return ['"leaveTypes" must be an object of leave type → rule'];
+  }
+
+  const errors = [];
+  Object.entries(leaveTypes).forEach(([type, rule]) => {
+    const { action, label, text } = normalizeRule(type, rule);
+    if (!LEAVE_ACTIONS.includes(action)) {
+      errors.push(`leave type "${type}" has unknown action "${action}" (expected ${LEAVE_ACTIONS.join(', ')})`);
+    }
+    errors.push(...validateLocalizedText(label, `leaveTypes.${type}.label`));
+    errors.push(...validateReminderText(text, `leaveTypes.${type}.text`));
+    if (text && action !== 'remind') {
+      errors.push(`leave type "${type}" has "text" but only "remind" rules send reminders`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Decides what to do with people on each leave type: skip them, remind
+ * them as usual, or remind them with a different text
+ */
+class LeavePolicy {
+  constructor(leaveTypes = DEFAULT_LEAVE_TYPES) {
+    this.rules = Object.entries(leaveTypes).map(([type, rule]) => normalizeRule(type, rule));
+  }
+
+  /**
+   * Find the rule for a leave type name: exact (case-insensitive) match
+   * first, otherwise the longest configured type contained in the name
+   * (so "Holiday" also covers "Holiday (half day)"). Null if none applies
+   */
+  resolve(leaveTypeName) {
+    const name = String(leaveTypeName || '').toLowerCase();
+    if (!name) return null;
+
+    const exact = this.rules.find(rule => rule.type.toLowerCase() === name);
+    if (exact) return exact;
+
+    return this.rules
+      .filter(rule => name.includes(rule.type.toLowerCase()))
+      .sort((a, b) => b.type.length - a.type.length)[0] || null;
+  }
+
+  /**
+   * Summary categories of skipped leave types, in config order
+   */
+  getCategories() {
+    return [...new Set(this.rules.filter(rule => rule.action === 'skip').map(rule => rule.category))];
+  }
+
+  /**
+   * Configured labels of skipped leave categories, keyed by category
+   * (strings or texts keyed by locale)
+   */
+  getLabels() {
+    const labels = {};
+    this.rules.forEach(rule => {
+      if (rule.action === 'skip' && rule.label && !labels[rule.category]) {
+        labels[rule.category] = rule.label;
+      }
+    });
+    return labels;
+  }
+}
+
+export default LeavePolicy;
@@ -0,0 +1,133 @@
+import LeavePolicy from './policy.js';
+
+const DEFAULT_POLICY = new LeavePolicy();
+
+/**
+ * Base class for leave providers (Timetastic, iCal, local files, ...).
+ *
+ * Implementations provide:
+ *   - findUser({ email, name, slackUserId }) → { id, name } or null
+ *   - getAbsences(dateStr) → [{ userId, leaveType, ... }], or null if the source failed
+ */
+class LeaveProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async findUser(identity) {
+    throw new Error(`${this.constructor.name} must implement findUser()`);
+  }
+
+  async getAbsences(dateStr) {
+    throw new Error(`${this.constructor.name} must implement getAbsences()`);
+  }
+
+  /**
+   * Leave type name of an absence
+   */
+  getLeaveType(absence) {
+    return absence.leaveTypeName || absence.leaveType || '';
+  }
+
+  /**
+   * Part of the day an absence covers on a date: "morning" or "afternoon"
+   * for half days, null for the whole day. Follows Timetastic's startType /
+   * endType: leave starting in the "Afternoon" or ending in the "Morning"
+   */
+  getAbsencePart(absence, dateStr) {
+    const startDate = String(absence.startDate || '').slice(0, 10);
+    const endDate = String(absence.endDate || '').slice(0, 10);
+    const offMorning = !(startDate === dateStr && /^(afternoon|pm)$/i.test(absence.startType || ''));
+    const offAfternoon = !(endDate === dateStr && /^(morning|am)$/i.test(absence.endType || ''));
+
+    if (offMorning && !offAfternoon) return 'morning';
+    if (offAfternoon && !offMorning) return 'afternoon';
+    return null;
+  }
+
+  /**
+   * Check if user is working on a date ("YYYY-MM-DD"); the leave policy
+   * decides which leave types mean not working
+   */
+  async getUserStatus(identity, dateStr, policy = DEFAULT_POLICY) {
+    if (!identity.email && !identity.name) return { working: true, reason: 'no_identification' };
+
+    try {
+      const user = await this.findUser(identity);
+      if (!user) {
+        return { working: true, reason: 'not_found', provider: this.name };
+      }
+
+      const absences = await this.getAbsences(dateStr);
+      if (absences === null) {
+        // Source failed, default to working
+        return { working: true, reason: 'api_error', provider: this.name };
+      }
+
+      // Note: using == for type coercion (ids may be numbers or strings)
+      const userAbsence = absences.find(a => a.userId == user.id);
+      if (!userAbsence) {
+        return { working: true, reason: 'no_absence', provider: this.name };
+      }
+
+      // Check if the leave type indicates non-working
+      const leaveTypeName = this.getLeaveType(userAbsence);
+      const rule = policy.resolve(leaveTypeName);
+
+      if (rule?.action === 'skip') {
+        return {
+          working: false,
+          reason: 'on_leave',
+          leaveType: leaveTypeName,
+          // Summary category of the skipped user
+          category: rule.category,
+          // Half-day leave: "morning" or "afternoon" (null for the whole day)
+          partOfDay: this.getAbsencePart(userAbsence, dateStr),
+          userName: user.name,
+          provider: this.name
+        };
+      }
+
+      // User has some other type of leave (Remote, Office, etc.) - they're working
+      return {
+        working: true,
+        reason: 'working_remotely',
+        leaveType: leaveTypeName,
+        // Different reminder text for this leave type, if configured
+        reminderText: rule?.text || null,
+        provider: this.name
+      };
+    } catch (error) {
+      console.error(`❌ Error checking ${this.name} status for ${identity.email || identity.name}:`, error.message);
+      // On error, default to working (fail open)
+      return { working: true, reason: 'error', provider: this.name };
+    }
+  }
+
+  /**
+   * Get leave summary for logging
+   */
+  async getLeaveSummary(dateStr) {
+    try {
+      const absences = await this.getAbsences(dateStr);
+      if (!absences) return null;
+
+      const summary = {
+        total: absences.length,
+        byType: {}
+      };
+
+      absences.forEach(absence => {
+        const type = this.getLeaveType(absence) || 'Unknown';
+        summary.byType[type] = (summary.byType[type] || 0) + 1;
+      });
+
+      return summary;
+    } catch (error) {
+      console.error(`❌ Error getting ${this.name} leave summary:`, error.message);
+      return null;
+    }
+  }
+}
+
+export default LeaveProvider;
@@ -0,0 +1,99 @@
+import LeaveProvider from './provider.js';
+
+// Reload entries at most every 30 minutes (same as Timetastic absences)
+const CACHE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Normalize a person's name for matching
+ */
+export function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Half-day entries in Timetastic's startType / endType terms
+const HALF_DAY_TYPES = {
+  am: { startType: 'Morning', endType: 'Morning' },
+  pm: { startType: 'Afternoon', endType: 'Afternoon' }
+};
+
+/**
+ * Base class for providers backed by a list of absence entries:
+ *   { email, name, text, start: "YYYY-MM-DD", end: "YYYY-MM-DD", leaveType, part }
+ * where the optional part ("am" or "pm") marks a half day.
+ * Subclasses implement loadEntries()
+ */
+class StaticLeaveProvider extends LeaveProvider {
+  constructor(name) {
+    super(name);
+    this.entries = null;
+    this.loadedAt = 0;
+  }
+
+  async loadEntries() {
+    throw new Error(`${this.constructor.name} must implement loadEntries()`);
+  }
+
+  /**
+   * Get entries, reloading them when the cache has expired
+   * (null if they could not be loaded)
+   */
+  async getEntries() {
+    if (this.entries && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.entries;
+    }
+
+    try {
+      this.entries = await this.loadEntries();
+      this.loadedAt = Date.now();
+      console.log(`✅ Loaded ${this.entries.length} absence entries from ${this.name}`);
+      return this.entries;
+    } catch (error) {
+      console.error(`❌ Error loading absences from ${this.name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Key identifying the person of an entry (email when available)
+   */
+  getEntryKey(entry) {
+    return entry.email ? entry.email.toLowerCase() : `name:${normalizeName(entry.name || entry.text)}`;
+  }
+
+  /**
+   * Find a person by email, then by exact name, then by name mentioned in entry text
+   */
+  async findUser({ email, name }) {
+    const entries = await this.getEntries();
+    if (!entries) return null;
+
+    const wantedName = normalizeName(name);
+    const entry =
+      (email && entries.find(e => e.email && e.email.toLowerCase() === email.toLowerCase())) ||
+      (wantedName && entries.find(e => normalizeName(e.name) === wantedName)) ||
+      (wantedName && entries.find(e => normalizeName(e.text).includes(wantedName)));
+
+    return entry ? { id: this.getEntryKey(entry), name: entry.name || name } : null;
+  }
+
+  /**
+   * Get absences covering the date
+   */
+  async getAbsences(dateStr) {
+    const entries = await this.getEntries();
+    if (!entries) return null;
+
+    return entries
+      .filter(entry => entry.start <= dateStr && entry.end >= dateStr)
+      .map(entry => ({
+        userId: this.getEntryKey(entry),
+        userName: entry.name,
+        leaveType: entry.leaveType,
+        startDate: entry.start,
+        endDate: entry.end,
+        ...HALF_DAY_TYPES[String(entry.part || '').toLowerCase()]
+      }));
+  }
+}
+
+export default StaticLeaveProvider;
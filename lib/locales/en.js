@@ -0,0 +1,127 @@
+// English messages. Placeholders: see fillTemplate() in lib/i18n.js;
+// plural forms go "one|other". Lists of reminder texts are variants
+// rotated day by day
+export default {
+  dateLocale: 'en-GB',
+
+  reminder: {
+    thread: [
+      'Hi all, a reminder about the standup! Please reply in the thread by {deadline} 📝',
+      'The standup is still waiting for {missingCount:# person|# people} 👀 Already replied: {repliedCount}. Deadline: {deadline}.',
+      '⏰ {#timeLeft}{timeLeft} left until the standup deadline{/timeLeft}{^timeLeft}The standup deadline was {deadline}{/timeLeft} — please reply in the thread 📝',
+      'Quick nudge: {#repliedCount}the standup thread has {repliedCount:# reply|# replies} already, yours are missing{/repliedCount}{^repliedCount}the standup thread is still quiet{/repliedCount} 🙌 Please reply by {deadline}'
+    ],
+    dm: [
+      'Hi! A reminder about the standup — please reply in the thread 📝',
+      'Hi {name}! The standup is still waiting for you{#timeLeft} — {timeLeft} left until the deadline{/timeLeft} 🙂',
+      'Got a couple of minutes for the standup? 🙏 Please reply in the thread by {deadline}'
+    ],
+    lead: 'Haven\'t replied to the standup yet:',
+    allDone: '✅ Everyone in the group (who is working today) has replied to the standup! 👍',
+    context: '{#timeLeft}⏰ Left until the deadline ({deadline}): {timeLeft} · {/timeLeft}✅ {repliedCount} of {expectedCount} replied',
+    openThread: 'Open the thread'
+  },
+
+  time: {
+    hours: '{count} h',
+    minutes: '{count} min'
+  },
+
+  choices: {
+    later_today: { label: 'I\'ll post later today', confirmation: 'OK, no more reminders today 👌' },
+    off_today: { label: 'Not working today', confirmation: 'Got it, not expecting you today 🏖️' },
+    skip_week: { label: 'Skipping this week', confirmation: 'Got it, no reminders until the end of the week 🗓️' }
+  },
+
+  prompt: {
+    text: '{mention} Good morning! Standup for {date} 📝 Please reply in the thread:',
+    questions: [
+      'What did you do yesterday?',
+      'What are you planning today?',
+      'Any blockers?'
+    ]
+  },
+
+  replies: {
+    incomplete: 'Thanks for replying! 🙏 Looks like your reply is missing: {sections}. Please add it in the thread.',
+    sections: {
+      yesterday: 'what you did yesterday',
+      today: 'plans for today',
+      blockers: 'blockers'
+    }
+  },
+
+  deadline: {
+    notice: '⏰ The standup deadline ({deadline}) has passed. {missingCount:# person hasn\'t|# people haven\'t} replied:'
+  },
+
+  skip: {
+    holiday: '🏖️ On holiday',
+    sickLeave: '🤒 On sick leave',
+    dayOff: '📅 Day off',
+    publicHoliday: '🎉 Public holiday',
+    noEmail: '📧 No email',
+    apiError: '⚠️ API error',
+    optedOut: '🔘 Not working today'
+  },
+
+  report: {
+    header: '📊 Standup {team} — {date}',
+    fallback: 'Standup {team} for {date}: {completion}% ({replied}/{expected})',
+    completion: '*Completion:*\n{completion}% ({replied}/{expected})',
+    reminded: '*Reminded:*\n{count}',
+    late: '*After the deadline ({deadline}):*\n{count}',
+    lateNote: 'after the deadline',
+    remindedNote: 'after a reminder',
+    reminders: 'reminders: {stages}',
+    replied: '*✅ Replied ({count})*',
+    missing: '*❌ Didn\'t reply ({count})*',
+    skipped: '*Skipped*',
+    more: '…and {count} more',
+    openThread: 'Open the standup thread'
+  },
+
+  digest: {
+    header: '📋 Standup digest {team} — {date}',
+    fallback: 'Standup digest {team} for {date}: {count:# reply|# replies}, blockers: {blockers}',
+    blockers: '*🚧 Blockers ({count})*',
+    noBlockers: '*🚧 No blockers* 🎉',
+    today: '*📌 Today*',
+    noPlan: '_no plan for today given_',
+    replied: '{count} replied',
+    repliedOf: '{count} of {expected} replied',
+    openThread: 'Open the standup thread'
+  },
+
+  blockers: {
+    header: '🚧 *Blockers today* — {team}, {date} ({count})',
+    reply: 'reply'
+  },
+
+  commands: {
+    help: [
+      '*/standup commands:*',
+      '• `/standup status [team]` — who has replied and who hasn\'t yet',
+      '• `/standup remind [team] [stage]` — send reminders right now',
+      '• `/standup skip @user [team]` — don\'t expect the user today'
+    ],
+    unknownTeam: '⚠️ Not sure which team you mean. Name one of: {teams}',
+    skipNoUser: '⚠️ Name the user: `/standup skip @user`',
+    skipNotAllowed: '⛔ Only the team lead can mark other people',
+    skipped: '👌 Not expecting today: {users}',
+    holiday: '🎉 Today is a day off ({holiday}), no standup',
+    noStandup: '⚠️ No standup of team {team} found today yet',
+    noMembers: '⚠️ The group of team {team} has no members',
+    status: '*Standup {team}* — {completion}% ({replied}/{expected})',
+    statusReplied: '✅ Replied: {users}',
+    statusMissing: '❌ Not yet: {users}',
+    statusSkipped: '⏭️ Skipped: {users}',
+    openThread: 'Open the thread',
+    reminded: '📢 Reminded {count:# person|# people} (stage {stage})',
+    nobodyToRemind: '✅ Nobody to remind (stage {stage})',
+    notSent: '⏭️ Reminders not sent: {status}',
+    error: '❌ Error: {error}',
+    collectingStatus: '⏳ Collecting the status...',
+    sendingReminders: '⏳ Sending reminders...'
+  }
+};
@@ -0,0 +1,127 @@
+// Russian messages (the default locale). Placeholders: see fillTemplate() in
+// lib/i18n.js; plural forms go "one|few|many". Lists of reminder texts are
+// variants rotated day by day
+export default {
+  dateLocale: 'ru-RU',
+
+  reminder: {
+    thread: [
+      'Коллеги, напоминаю про стендап! Пожалуйста, отпишитесь в треде до {deadline} 📝',
+      'Стендап ждёт ещё {missingCount:# человека|# человек|# человек} 👀 Уже отписались: {repliedCount}. Дедлайн — {deadline}.',
+      '⏰ {#timeLeft}До дедлайна стендапа осталось {timeLeft}{/timeLeft}{^timeLeft}Дедлайн стендапа был в {deadline}{/timeLeft} — отпишитесь в треде, пожалуйста 📝',
+      'Небольшое напоминание: {#repliedCount}в треде стендапа уже {repliedCount:# ответ|# ответа|# ответов}, не хватает ваших{/repliedCount}{^repliedCount}в треде стендапа пока тихо{/repliedCount} 🙌 Отпишитесь до {deadline}'
+    ],
+    dm: [
+      'Привет! Напоминаю про стендап — пожалуйста, отпишись в треде 📝',
+      'Привет, {name}! Стендап ещё ждёт тебя{#timeLeft} — до дедлайна {timeLeft}{/timeLeft} 🙂',
+      'Найдётся пара минут на стендап? 🙏 Отпишись в треде до {deadline}'
+    ],
+    lead: 'Ещё не отписались в стендапе:',
+    allDone: '✅ Все участники группы (кто сегодня работает) уже отписались в стендапе! 👍',
+    context: '{#timeLeft}⏰ До дедлайна ({deadline}): {timeLeft} · {/timeLeft}✅ Отписались {repliedCount} из {expectedCount}',
+    openThread: 'Открыть тред'
+  },
+
+  time: {
+    hours: '{count} ч',
+    minutes: '{count} мин'
+  },
+
+  choices: {
+    later_today: { label: 'Напишу позже сегодня', confirmation: 'Ок, сегодня больше не буду напоминать 👌' },
+    off_today: { label: 'Сегодня не работаю', confirmation: 'Понял, сегодня тебя не жду 🏖️' },
+    skip_week: { label: 'Пропускаю эту неделю', confirmation: 'Понял, до конца недели напоминаний не будет 🗓️' }
+  },
+
+  prompt: {
+    text: '{mention} Доброе утро! Стендап за {date} 📝 Отпишитесь в треде:',
+    questions: [
+      'Что сделали вчера?',
+      'Что планируете сегодня?',
+      'Есть ли блокеры?'
+    ]
+  },
+
+  replies: {
+    incomplete: 'Спасибо, что отписались! 🙏 Кажется, в ответе не хватает: {sections}. Допишите, пожалуйста, в треде.',
+    sections: {
+      yesterday: 'что сделали вчера',
+      today: 'планы на сегодня',
+      blockers: 'блокеры'
+    }
+  },
+
+  deadline: {
+    notice: '⏰ Дедлайн стендапа ({deadline}) прошёл. {missingCount:# человек|# человека|# человек} не {missingCount:отписался|отписались|отписались}:'
+  },
+
+  skip: {
+    holiday: '🏖️ В отпуске',
+    sickLeave: '🤒 На больничном',
+    dayOff: '📅 Выходной',
+    publicHoliday: '🎉 Госпраздник',
+    noEmail: '📧 Без email',
+    apiError: '⚠️ Ошибка API',
+    optedOut: '🔘 Отметились, что не работают'
+  },
+
+  report: {
+    header: '📊 Стендап {team} — {date}',
+    fallback: 'Стендап {team} за {date}: {completion}% ({replied}/{expected})',
+    completion: '*Выполнено:*\n{completion}% ({replied}/{expected})',
+    reminded: '*Напомнили:*\n{count}',
+    late: '*После дедлайна ({deadline}):*\n{count}',
+    lateNote: 'после дедлайна',
+    remindedNote: 'после напоминания',
+    reminders: 'напоминания: {stages}',
+    replied: '*✅ Отписались ({count})*',
+    missing: '*❌ Не отписались ({count})*',
+    skipped: '*Пропущены*',
+    more: '…и ещё {count}',
+    openThread: 'Открыть тред стендапа'
+  },
+
+  digest: {
+    header: '📋 Дайджест стендапа {team} — {date}',
+    fallback: 'Дайджест стендапа {team} за {date}: {count:# ответ|# ответа|# ответов}, блокеров: {blockers}',
+    blockers: '*🚧 Блокеры ({count})*',
+    noBlockers: '*🚧 Блокеров нет* 🎉',
+    today: '*📌 Сегодня*',
+    noPlan: '_план на сегодня не указан_',
+    replied: 'Ответили {count}',
+    repliedOf: 'Ответили {count} из {expected}',
+    openThread: 'Открыть тред стендапа'
+  },
+
+  blockers: {
+    header: '🚧 *Блокеры сегодня* — {team}, {date} ({count})',
+    reply: 'ответ'
+  },
+
+  commands: {
+    help: [
+      '*Команды /standup:*',
+      '• `/standup status [команда]` — кто уже отписался, а кто ещё нет',
+      '• `/standup remind [команда] [этап]` — отправить напоминания прямо сейчас',
+      '• `/standup skip @user [команда]` — не ждать пользователя сегодня'
+    ],
+    unknownTeam: '⚠️ Не понял, о какой команде речь. Укажите одну из: {teams}',
+    skipNoUser: '⚠️ Укажите пользователя: `/standup skip @user`',
+    skipNotAllowed: '⛔ Отмечать других может только лид команды',
+    skipped: '👌 Сегодня не ждём: {users}',
+    holiday: '🎉 Сегодня выходной ({holiday}), стендапа нет',
+    noStandup: '⚠️ Стендап команды {team} сегодня ещё не найден',
+    noMembers: '⚠️ В группе команды {team} нет участников',
+    status: '*Стендап {team}* — {completion}% ({replied}/{expected})',
+    statusReplied: '✅ Отписались: {users}',
+    statusMissing: '❌ Ещё нет: {users}',
+    statusSkipped: '⏭️ Пропущены: {users}',
+    openThread: 'Открыть тред',
+    reminded: '📢 Напомнил {count} {count:участнику|участникам|участникам} (этап {stage})',
+    nobodyToRemind: '✅ Напоминать некому (этап {stage})',
+    notSent: '⏭️ Напоминания не отправлены: {status}',
+    error: '❌ Ошибка: {error}',
+    collectingStatus: '⏳ Собираю статус...',
+    sendingReminders: '⏳ Отправляю напоминания...'
+  }
+};
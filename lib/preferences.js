@@ -0,0 +1,56 @@
+import JsonStore from './json-store.js';
+import { addDays } from './time.js';
+
+const DEFAULT_PREFERENCES_FILE = '.standup-preferences.json';
+
+// Choices users can make from reminder buttons (button labels and
+// confirmations are in the locale catalogs, under "choices")
+export const CHOICES = ['later_today', 'off_today', 'skip_week'];
+
+/**
+ * Last day (Sunday) of the ISO week containing a "YYYY-MM-DD" date
+ */
+function endOfWeek(dateStr) {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay() || 7;
+  return addDays(dateStr, 7 - weekday);
+}
+
+/**
+ * Local JSON store of users' reminder choices ("post later", "off today", ...)
+ */
+class UserPreferences extends JsonStore {
+  constructor(filePath = process.env.PREFERENCES_FILE || DEFAULT_PREFERENCES_FILE, { readOnly = false } = {}) {
+    super(filePath, { readOnly, defaults: { users: {} } });
+  }
+
+  /**
+   * Record a user's choice for the given standup date
+   */
+  setChoice(userId, choice, dateStr) {
+    if (!CHOICES.includes(choice)) {
+      throw new Error(`Unknown choice "${choice}"`);
+    }
+
+    const until = choice === 'skip_week' ? endOfWeek(dateStr) : dateStr;
+    const user = this.data.users[userId] || (this.data.users[userId] = { choices: [] });
+
+    // Drop expired choices so the file doesn't grow forever
+    user.choices = user.choices.filter(entry => entry.until >= dateStr);
+    user.choices.push({ choice, from: dateStr, until, setAt: new Date().toISOString() });
+    this.save();
+
+    return { choice, from: dateStr, until };
+  }
+
+  /**
+   * Get the user's active choice for a date (latest one wins), or null
+   */
+  getActiveChoice(userId, dateStr) {
+    const choices = (this.data.users[userId]?.choices || [])
+      .filter(entry => entry.from <= dateStr && entry.until >= dateStr);
+
+    return choices.length > 0 ? choices[choices.length - 1] : null;
+  }
+}
+
+export default UserPreferences;
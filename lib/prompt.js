@@ -0,0 +1,55 @@
+import { parseTimeOfDay } from './time.js';
+import { translate, fillTemplate, getMessage, localizeText, validateLocalizedText } from './i18n.js';
+
+/**
+ * Format a date for the prompt, e.g. "понедельник, 19 октября"
+ */
+export function formatPromptDate(date, timeZone, locale = 'ru-RU') {
+  return date.toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'long', timeZone });
+}
+
+/**
+ * Build the text of the daily standup prompt in the team's locale: the
+ * team's template (or the catalog one) with date, team name, user group
+ * mention and deadline filled in, followed by the numbered questions
+ */
+export function buildPromptText(team, date = new Date()) {
+  const prompt = team.prompt;
+  const locale = team.locale;
+  const values = {
+    date: formatPromptDate(date, team.timezone, prompt.locale || getMessage(locale, 'dateLocale')),
+    team: team.name,
+    mention: prompt.mention === false ? '' : `<!subteam^${team.userGroupId}>`,
+    deadline: team.deadline
+  };
+  const template = localizeText(prompt.text, locale);
+  const text = (template ? fillTemplate(template, values, locale) : translate(locale, 'prompt.text', values)).trim();
+  const questions = prompt.questions || translate(locale, 'prompt.questions');
+
+  if (questions.length === 0) return text;
+  return `${text}\n${questions.map((question, index) => `${index + 1}. ${question}`).join('\n')}`;
+}
+
+/**
+ * Return list of problems with a team's "prompt" settings
+ */
+export function validatePrompt(prompt) {
+  const errors = validateLocalizedText(prompt.text, 'prompt.text');
+
+  if (prompt.postAt && parseTimeOfDay(prompt.postAt) === null) {
+    errors.push(`invalid prompt.postAt "${prompt.postAt}" (expected HH:MM)`);
+  }
+  if (prompt.questions !== undefined &&
+      (!Array.isArray(prompt.questions) || prompt.questions.some(question => typeof question !== 'string'))) {
+    errors.push('"prompt.questions" must be an array of strings');
+  }
+  if (prompt.locale) {
+    try {
+      new Intl.DateTimeFormat(prompt.locale);
+    } catch (error) {
+      errors.push(`invalid prompt.locale "${prompt.locale}"`);
+    }
+  }
+
+  return errors;
+}
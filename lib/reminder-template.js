@@ -0,0 +1,71 @@
+import { translate, localizeText, validateLocalizedText } from './i18n.js';
+import { daysBetween } from './time.js';
+
+// How reminders are laid out: plain text, or Block Kit with the reminder,
+// the mentions and a progress line
+export const REMINDER_LAYOUTS = ['text', 'blocks'];
+
+/**
+ * Pick the variant of the day from a list of texts, so consecutive days
+ * get different ones (a single text is returned as is)
+ */
+export function pickVariant(text, dateStr) {
+  if (!Array.isArray(text)) return text;
+  if (text.length === 0) return null;
+  return text[daysBetween('1970-01-01', dateStr) % text.length];
+}
+
+/**
+ * Resolve a reminder text to one template: the variant of the day, in
+ * the locale when given per locale
+ */
+export function resolveTemplate(text, locale, dateStr) {
+  return pickVariant(localizeText(pickVariant(text, dateStr), locale), dateStr);
+}
+
+/**
+ * Format minutes left until the deadline, e.g. "1 ч 20 мин"; empty when
+ * there is no time left
+ */
+export function formatTimeLeft(minutes, locale) {
+  if (!minutes || minutes <= 0) return '';
+
+  const hours = Math.floor(minutes / 60);
+  return [
+    hours > 0 && translate(locale, 'time.hours', { count: hours }),
+    minutes % 60 > 0 && translate(locale, 'time.minutes', { count: minutes % 60 })
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Build the Block Kit layout of a reminder: its text, the mentions (thread
+ * reminders) and a context line with the time left, how many have replied
+ * and a link to the thread (direct messages)
+ */
+export function buildReminderLayout({ text, mentions = null, link = null, values, locale }) {
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text } }];
+  if (mentions) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: mentions } });
+  }
+
+  const context = [
+    translate(locale, 'reminder.context', values),
+    link && `<${link}|${translate(locale, 'reminder.openThread')}>`
+  ].filter(Boolean).join(' · ');
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: context }] });
+
+  return blocks;
+}
+
+/**
+ * Return list of problems with a reminder text: a string, texts keyed by
+ * locale, or a list of either to rotate day by day
+ */
+export function validateReminderText(text, field) {
+  if (!Array.isArray(text)) return validateLocalizedText(text, field);
+  if (text.length === 0) return [`"${field}" must list at least one variant`];
+
+  return text.flatMap((variant, index) => (variant ?
+    validateLocalizedText(variant, `${field}[${index}]`) :
+    [`"${field}[${index}]" is empty`]));
+}
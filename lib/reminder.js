@@ -0,0 +1,1504 @@
+import { parseTimeOfDay, minutesSinceMidnight, isSameDay, getDateString, getStartOfDay } from './time.js';
+import { buildReportData, buildReportBlocks } from './report.js';
+import { buildReminderBlocks, buildChoiceActions } from './interactions.js';
+import LeavePolicy from './leave/policy.js';
+import { buildPromptText } from './prompt.js';
+import { findMissingSections } from './standup-reply.js';
+import { buildDigestData, buildDigestBlocks } from './digest/format.js';
+import { detectBlocker, buildBlockersText } from './blockers.js';
+import { translate, fillTemplate, getMessage, localizeText, resolveLocale } from './i18n.js';
+import { resolveTemplate, formatTimeLeft, buildReminderLayout } from './reminder-template.js';
+
+// State key of follow-ups on incomplete replies, kept apart from stage names
+const INCOMPLETE_REPLY_STAGE = 'incomplete-reply';
+
+// Console labels of skip categories (leave categories use their policy label)
+const SKIP_LOG_LABELS = {
+  holiday: '🏖️  On Holiday',
+  sickLeave: '🤒 Sick Leave',
+  dayOff: '📅 Day Off',
+  publicHoliday: '🎉 Public Holiday',
+  noEmail: '📧 No Email',
+  apiError: '⚠️  API Error',
+  optedOut: '🔘 Off by choice'
+};
+
+/**
+ * Standup reminder pipeline for a single team
+ */
+class StandupReminder {
+  constructor({ team, botClient, userClient, leaveProvider = null, holidayChecker, personHolidayCheckers = {}, state = null, history = null, preferences = null, digestExtractor = null, stageName = null, dryRun = false }) {
+    this.team = team;
+    this.botClient = botClient;
+    this.userClient = userClient;
+    this.leaveProvider = leaveProvider;
+    this.holidayChecker = holidayChecker;
+    // Holiday checkers of people with their own calendar, keyed by user ID
+    this.personHolidayCheckers = personHolidayCheckers;
+    this.state = state;
+    this.history = history;
+    this.preferences = preferences;
+    this.digestExtractor = digestExtractor;
+    this.stageName = stageName;
+    this.dryRun = dryRun;
+
+    // Messages that were posted (or would have been, in dry-run mode)
+    this.messages = [];
+
+    // What to do with people on each leave type
+    this.leavePolicy = new LeavePolicy(team.leaveTypes);
+
+    // Tracking for skipped users: leave categories from the policy, then
+    // the fixed reasons
+    this.skippedUsers = {
+      ...Object.fromEntries(this.leavePolicy.getCategories().map(category => [category, []])),
+      publicHoliday: [],
+      noEmail: [],
+      apiError: [],
+      optedOut: []
+    };
+
+    // Leave reason of each skipped user, keyed by user ID
+    this.skipReasons = {};
+
+    // Reminder text for people whose leave type asks for a different one
+    this.reminderTexts = {};
+
+    // Display names and Slack locales ("userLocales") of users, keyed by user ID
+    this.nameMap = {};
+    this.userLocales = {};
+
+    // Template variables shared by all messages; who has and hasn't replied
+    // is added once the status is collected
+    this.templateValues = { team: team.name, deadline: team.deadline };
+
+    // Time half-day leave is judged at; null means "any time before the
+    // deadline" (used by the report, which runs after the standup)
+    this.leaveCheckTime = new Date();
+  }
+
+  /**
+   * Post a message to Slack, or only record it in dry-run mode
+   */
+  async postMessage(params) {
+    this.messages.push(params);
+
+    if (this.dryRun) {
+      console.log(`   🧪 [dry-run] Would post to ${params.channel}: ${params.text.split('\n')[0]}`);
+      return { ok: true, ts: null, dryRun: true };
+    }
+
+    return this.botClient.chat.postMessage(params);
+  }
+
+  /**
+   * Open a direct message channel with a user (skipped in dry-run mode)
+   */
+  async openDirectMessage(userId) {
+    if (this.dryRun) return `DM:${userId}`;
+
+    const result = await this.botClient.conversations.open({ users: userId });
+    return result.channel.id;
+  }
+
+  /**
+   * Locale to write to a user in: their "people" setting, otherwise their
+   * Slack locale (with "userLocales"), otherwise the team's
+   */
+  getUserLocale(userId) {
+    return resolveLocale(this.team.people?.[userId]?.locale) || this.userLocales[userId] || this.team.locale;
+  }
+
+  /**
+   * Minutes left until today's deadline (0 once it has passed)
+   */
+  getMinutesLeft(now = new Date()) {
+    const deadline = parseTimeOfDay(this.team.deadline);
+    if (deadline === null) return 0;
+    return Math.max(0, deadline - minutesSinceMidnight(now, this.team.timezone));
+  }
+
+  /**
+   * Template variables for a message in a locale: the shared ones, the time
+   * left until the deadline and the given values
+   */
+  getTemplateValues(locale, values = {}) {
+    return { ...this.templateValues, timeLeft: formatTimeLeft(this.getMinutesLeft(), locale), ...values };
+  }
+
+  /**
+   * Message text in a locale: the configured text (a string, texts keyed by
+   * locale, or a list of variants rotated day by day) or else the catalog
+   * message, with template variables filled in
+   */
+  formatText(key, configured, values = {}, locale = this.team.locale) {
+    const today = getDateString(new Date(), this.team.timezone);
+    const template = resolveTemplate(configured, locale, today) || resolveTemplate(getMessage(locale, key), locale, today);
+    return fillTemplate(template ?? key, this.getTemplateValues(locale, values), locale);
+  }
+
+  /**
+   * Build a link to the standup thread
+   */
+  getThreadLink(threadTs) {
+    return `https://slack.com/archives/${this.team.channel}/p${threadTs.replace('.', '')}`;
+  }
+
+  /**
+   * Build a link to a reply in the standup thread
+   */
+  getReplyLink(replyTs, threadTs) {
+    return `https://slack.com/archives/${this.team.channel}/p${replyTs.replace('.', '')}?thread_ts=${threadTs}&cid=${this.team.channel}`;
+  }
+
+  /**
+   * Pick the escalation stage to run now: the one requested explicitly,
+   * otherwise the latest stage whose time has passed (null if none is due)
+   */
+  selectStage(now = new Date()) {
+    const stages = this.team.stages;
+
+    if (this.stageName) {
+      const stage = stages.find(s => s.name === this.stageName);
+      if (!stage) {
+        throw new Error(`Unknown stage "${this.stageName}" (available: ${stages.map(s => s.name).join(', ')})`);
+      }
+      return stage;
+    }
+
+    const currentMinutes = minutesSinceMidnight(now, this.team.timezone);
+    const dueStages = stages
+      .filter(stage => !stage.at || parseTimeOfDay(stage.at) <= currentMinutes)
+      .sort((a, b) => (parseTimeOfDay(a.at) ?? -1) - (parseTimeOfDay(b.at) ?? -1));
+
+    return dueStages.length > 0 ? dueStages[dueStages.length - 1] : null;
+  }
+
+  /**
+   * Check whether the team's deadline has passed on the day of the standup
+   */
+  isPastDeadline(standupTs, now = new Date()) {
+    const deadline = parseTimeOfDay(this.team.deadline);
+    if (deadline === null) return false;
+
+    const timeZone = this.team.timezone;
+    const nowDay = getDateString(now, timeZone);
+    const standupDay = getDateString(new Date(Number(standupTs) * 1000), timeZone);
+    return nowDay > standupDay || (nowDay === standupDay && minutesSinceMidnight(now, timeZone) >= deadline);
+  }
+
+  /**
+   * Find responders whose first reply came after the deadline
+   */
+  findLateResponders(standupTs, responders) {
+    return new Set([...responders]
+      .filter(([, replyTs]) => this.isPastDeadline(standupTs, new Date(Number(replyTs) * 1000)))
+      .map(([userId]) => userId));
+  }
+
+  /**
+   * Check if a timestamp is from today in the team's timezone
+   */
+  isToday(timestampSeconds) {
+    return isSameDay(new Date(timestampSeconds * 1000), new Date(), this.team.timezone);
+  }
+
+  /**
+   * Check if a channel message is today's standup post: a bot message (from
+   * one of "standupBotIds" if set) whose metadata event type and/or text
+   * match "standupEventType" / "standupPattern", or any keyword otherwise
+   */
+  isStandupMessage(message) {
+    const team = this.team;
+
+    const isFromBot = message.bot_id && (!message.subtype || message.subtype === 'bot_message');
+    if (!isFromBot) return false;
+
+    if (team.standupBotIds.length > 0) {
+      const sourceIds = [message.bot_id, message.app_id, message.bot_profile?.app_id, message.workflow_id];
+      if (!sourceIds.some(id => id && team.standupBotIds.includes(id))) return false;
+    }
+
+    if (team.standupEventType && message.metadata?.event_type !== team.standupEventType) {
+      return false;
+    }
+
+    if (team.standupPattern) {
+      return new RegExp(team.standupPattern, 'i').test(message.text || '');
+    }
+    if (team.standupEventType) {
+      return true;
+    }
+
+    const lowerText = (message.text || '').toLowerCase();
+    return team.keywords.some(keyword => lowerText.includes(keyword));
+  }
+
+  /**
+   * Describe how standup messages are matched, for logs
+   */
+  describeStandupMatching() {
+    const team = this.team;
+    const rules = [];
+
+    if (team.standupBotIds.length > 0) rules.push(`from ${team.standupBotIds.join(', ')}`);
+    if (team.standupEventType) rules.push(`metadata event "${team.standupEventType}"`);
+    if (team.standupPattern) rules.push(`matching /${team.standupPattern}/i`);
+    if (!team.standupEventType && !team.standupPattern) rules.push(`keywords: ${team.keywords.join(', ')}`);
+
+    return rules.join(', ');
+  }
+
+  /**
+   * Find today's standup message posted by Workflow Builder (or by the bot
+   * itself), reading the channel history page by page since midnight
+   */
+  async findTodayStandupMessage() {
+    const channel = this.team.channel;
+    const now = new Date();
+
+    const promptTs = this.state?.getPostedPrompt(channel, getDateString(now, this.team.timezone));
+    if (promptTs) {
+      console.log(`✅ Using today's standup prompt posted by the bot: ${promptTs}`);
+      return promptTs;
+    }
+
+    try {
+      const oldest = String(getStartOfDay(now, this.team.timezone).getTime() / 1000);
+      let standupMessage = null;
+      let scanned = 0;
+      let cursor;
+
+      do {
+        const history = await this.botClient.conversations.history({
+          channel,
+          oldest,
+          limit: 200,
+          cursor,
+          // Slack leaves message metadata out unless asked for
+          ...(this.team.standupEventType && { include_all_metadata: true })
+        });
+
+        const messages = history.messages || [];
+        scanned += messages.length;
+        standupMessage = messages.find(message => {
+          const timestampSeconds = Number((message.ts || '0').split('.')[0]);
+          return this.isToday(timestampSeconds) && this.isStandupMessage(message);
+        });
+        cursor = history.has_more ? history.response_metadata?.next_cursor : null;
+      } while (!standupMessage && cursor);
+
+      if (standupMessage) {
+        console.log(`✅ Found today's standup message from Workflow: ${standupMessage.ts}`);
+        console.log(`   Message preview: ${standupMessage.text?.substring(0, 50)}...`);
+        return standupMessage.ts;
+      } else {
+        console.log(`⚠️  No standup message from Workflow found for today (${scanned} messages checked)`);
+        console.log(`   Looking for messages ${this.describeStandupMatching()}`);
+        return null;
+      }
+    } catch (error) {
+      console.error('❌ Error finding standup message:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Post the standup prompt ourselves and remember its ts for later runs
+   */
+  async postStandupPrompt() {
+    const channel = this.team.channel;
+    const result = await this.postMessage({
+      channel,
+      text: buildPromptText(this.team)
+    });
+
+    if (result.ts && this.state && !this.dryRun) {
+      this.state.markPromptPosted(channel, getDateString(new Date(), this.team.timezone), result.ts);
+    }
+
+    console.log(`📝 Posted the standup prompt to ${channel}${result.ts ? `: ${result.ts}` : ''}`);
+    return result.ts;
+  }
+
+  /**
+   * Get Slack users with their emails
+   */
+  async getSlackUsersWithEmails() {
+    try {
+      const result = await this.botClient.users.list({ limit: 1000, include_locale: this.team.userLocales });
+      const emailMap = {};
+      const nameMap = {};
+
+      (result.members || []).forEach(user => {
+        if (user.id && !user.deleted && !user.is_bot) {
+          emailMap[user.id] = user.profile?.email || null;
+          nameMap[user.id] = user.real_name || user.name || user.id;
+          if (this.team.userLocales && resolveLocale(user.locale)) {
+            this.userLocales[user.id] = resolveLocale(user.locale);
+          }
+        }
+      });
+      this.nameMap = nameMap;
+
+      console.log(`✅ Loaded ${Object.keys(emailMap).length} Slack users with emails`);
+      return { emailMap, nameMap };
+    } catch (error) {
+      console.error('❌ Error fetching Slack users:', error.message);
+      return { emailMap: {}, nameMap: {} };
+    }
+  }
+
+  /**
+   * Get members of the team's user group
+   */
+  async getUserGroupMembers() {
+    const userGroupId = this.team.userGroupId;
+
+    try {
+      const result = await this.userClient.usergroups.users.list({
+        usergroup: userGroupId
+      });
+
+      const members = result.users || [];
+      console.log(`✅ Found ${members.length} members in user group ${userGroupId}`);
+      return new Set(members);
+    } catch (error) {
+      console.error('❌ Error fetching user group members:', error.message);
+
+      try {
+        console.log('   Attempting with bot token as fallback...');
+        const result = await this.botClient.usergroups.users.list({
+          usergroup: userGroupId
+        });
+        const members = result.users || [];
+        console.log(`✅ Fallback successful: found ${members.length} members`);
+        return new Set(members);
+      } catch (fallbackError) {
+        console.error('❌ Fallback also failed:', fallbackError.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get all user replies in the standup thread, page by page
+   */
+  async getThreadReplies(threadTs) {
+    try {
+      const replies = [];
+      let cursor;
+
+      do {
+        const page = await this.botClient.conversations.replies({
+          channel: this.team.channel,
+          ts: threadTs,
+          limit: 200,
+          cursor
+        });
+
+        replies.push(...(page.messages || [])
+          .filter(message => message.ts !== threadTs && message.user));
+        cursor = page.has_more ? page.response_metadata?.next_cursor : null;
+      } while (cursor);
+
+      return replies;
+    } catch (error) {
+      console.error('❌ Error fetching thread replies:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get users who have replied to the standup thread, mapped to the ts of their first reply
+   */
+  getThreadResponders(replies) {
+    const responders = new Map();
+    replies
+      .filter(message => !responders.has(message.user))
+      .forEach(message => responders.set(message.user, message.ts));
+
+    console.log(`✅ Found ${responders.size} users who replied to the thread`);
+    return responders;
+  }
+
+  /**
+   * Combine the thread replies of each group member, in reply order:
+   * user ID → { ts of the first reply, texts of all replies }
+   */
+  groupRepliesByUser(replies, groupMembers) {
+    const byUser = new Map();
+
+    replies
+      .filter(message => groupMembers.has(message.user))
+      .forEach(message => {
+        const entry = byUser.get(message.user);
+        if (entry) {
+          entry.texts.push(message.text || '');
+        } else {
+          byUser.set(message.user, { ts: message.ts, texts: [message.text || ''] });
+        }
+      });
+
+    return byUser;
+  }
+
+  /**
+   * Find group members whose replies (all their messages in the thread
+   * together) don't answer every required standup question, mapped to the
+   * missing sections
+   */
+  findIncompleteReplies(replies, groupMembers) {
+    const validation = this.team.replyValidation;
+    const incomplete = new Map();
+    if (!validation) return incomplete;
+
+    this.groupRepliesByUser(replies, groupMembers).forEach(({ texts }, userId) => {
+      const missing = findMissingSections(texts.join('\n'), validation.required, validation.sections);
+      if (missing.length > 0) incomplete.set(userId, missing);
+    });
+
+    if (incomplete.size > 0) {
+      console.log(`   Incomplete replies: ${incomplete.size}`);
+    }
+    return incomplete;
+  }
+
+  /**
+   * Filter out users who chose "off today" / "skip this week" from reminder
+   * buttons. "Post later today" only stops reminders (see isSnoozed()):
+   * those users are still expected and missing until they reply
+   */
+  filterByPreferences(userIds, nameMap, today) {
+    if (!this.preferences) return userIds;
+
+    return userIds.filter(userId => {
+      const active = this.preferences.getActiveChoice(userId, today);
+      if (!active || active.choice === 'later_today') return true;
+
+      const name = nameMap[userId] || userId;
+      console.log(`   🔘 Skipping ${name}: chose "${active.choice}"`);
+      this.skipReasons[userId] = active.choice;
+      this.skippedUsers.optedOut.push(name);
+      return false;
+    });
+  }
+
+  /**
+   * Check if a user chose "post later today", so gets no more reminders today
+   */
+  isSnoozed(userId) {
+    if (!this.preferences) return false;
+
+    const today = getDateString(new Date(), this.team.timezone);
+    return this.preferences.getActiveChoice(userId, today)?.choice === 'later_today';
+  }
+
+  /**
+   * Filter out people whose holiday calendar (their own, or the team's)
+   * has a public holiday today. Only needed when some people have their own
+   * calendar: otherwise a team holiday already skipped the whole run
+   */
+  async filterHolidayUsers(userIds, nameMap, today) {
+    if (Object.keys(this.personHolidayCheckers).length === 0) {
+      return userIds;
+    }
+
+    const workingUsers = [];
+
+    for (const userId of userIds) {
+      const checker = this.personHolidayCheckers[userId] || this.holidayChecker;
+      const holiday = await checker.isHoliday(today);
+
+      if (holiday.isHoliday) {
+        const name = nameMap[userId] || userId;
+        console.log(`   🎉 Skipping ${name}: ${holiday.name} (${checker.label})`);
+        this.skipReasons[userId] = holiday.name;
+        this.skippedUsers.publicHoliday.push(name);
+      } else {
+        workingUsers.push(userId);
+      }
+    }
+
+    return workingUsers;
+  }
+
+  /**
+   * Whether someone on half-day leave can still be asked for the standup:
+   * people off in the afternoon until the half-day split, people off in the
+   * morning after it, provided the deadline is later than the split
+   */
+  isAvailableDespiteHalfDay(partOfDay, now = this.leaveCheckTime) {
+    const split = parseTimeOfDay(this.team.halfDaySplit);
+    const current = now ? minutesSinceMidnight(now, this.team.timezone) : null;
+
+    if (partOfDay === 'afternoon') {
+      return current === null || current < split;
+    }
+
+    const deadline = parseTimeOfDay(this.team.deadline);
+    return (deadline === null || deadline > split) && (current === null || current >= split);
+  }
+
+  /**
+   * Filter users based on their own choices and leave status
+   */
+  async filterWorkingUsers(userIds, emailMap, nameMap) {
+    const today = getDateString(new Date(), this.team.timezone);
+    userIds = this.filterByPreferences(userIds, nameMap, today);
+    userIds = await this.filterHolidayUsers(userIds, nameMap, today);
+
+    if (!this.leaveProvider) {
+      console.log('⚠️  No leave provider configured, skipping leave checks');
+      return userIds;
+    }
+
+    console.log(`\n📋 Checking leave status (${this.leaveProvider.name})...`);
+
+    // Get today's leave summary
+    const leaveSummary = await this.leaveProvider.getLeaveSummary(today);
+    if (leaveSummary) {
+      console.log(`   Total absences today: ${leaveSummary.total}`);
+      Object.entries(leaveSummary.byType).forEach(([type, count]) => {
+        console.log(`   - ${type}: ${count}`);
+      });
+    }
+
+    const workingUsers = [];
+
+    for (const userId of userIds) {
+      const email = emailMap[userId];
+      const name = nameMap[userId] || userId;
+
+      // Check if user is working today via the leave provider(s)
+      // Pass both email and name - will use name as fallback if email is not available
+      const status = await this.leaveProvider.getUserStatus({ email, name, slackUserId: userId }, today, this.leavePolicy);
+
+      if (status.working) {
+        workingUsers.push(userId);
+        if (status.reminderText) {
+          this.reminderTexts[userId] = status.reminderText;
+        }
+        if (status.reason === 'working_remotely') {
+          console.log(`   ✅ ${name} is working (${status.leaveType})`);
+        }
+      } else if (status.partOfDay && this.isAvailableDespiteHalfDay(status.partOfDay)) {
+        // Half-day leave outside the standup window
+        workingUsers.push(userId);
+        console.log(`   🕐 ${name} is off this ${status.partOfDay} (${status.leaveType}) but available for the standup`);
+      } else {
+        // User is not working, skip them
+        const skipReason = status.partOfDay ?
+          `${status.leaveType} (${status.partOfDay})` :
+          (status.leaveType || status.reason);
+        console.log(`   🏖️  Skipping ${name}: ${skipReason}`);
+        this.skipReasons[userId] = skipReason;
+
+        // Categorize skipped users by the policy's category
+        const category = status.category || status.reason;
+        (this.skippedUsers[category] ||= []).push(name);
+      }
+    }
+
+    return workingUsers;
+  }
+
+  /**
+   * Send reminders for the given stage to users who haven't responded,
+   * skipping anyone already reminded at this stage for this standup
+   */
+  async sendReminders(threadTs, usersToRemind, stage = this.team.stages[0]) {
+    const channel = this.team.channel;
+
+    if (usersToRemind.length === 0) {
+      if (this.state?.isAllDonePosted(channel, threadTs)) {
+        console.log('✅ All working group members have responded (already announced)');
+        return [];
+      }
+
+      await this.postMessage({
+        channel: channel,
+        thread_ts: threadTs,
+        text: this.formatText('reminder.allDone')
+      });
+      if (this.state && !this.dryRun) {
+        this.state.markAllDonePosted(channel, threadTs);
+      }
+      console.log('✅ All working group members have responded');
+      return [];
+    }
+
+    const alreadyReminded = this.state ?
+      this.state.getRemindedUsers(channel, threadTs, stage.name) : new Set();
+    const snoozedUsers = usersToRemind.filter(userId => this.isSnoozed(userId));
+    const pendingUsers = usersToRemind.filter(userId => !alreadyReminded.has(userId) && !snoozedUsers.includes(userId));
+
+    if (alreadyReminded.size > 0) {
+      console.log(`   ${usersToRemind.filter(userId => alreadyReminded.has(userId)).length} users already reminded at stage "${stage.name}"`);
+    }
+    if (snoozedUsers.length > 0) {
+      console.log(`   ⏰ ${snoozedUsers.length} users chose to post later today, not reminding them`);
+    }
+
+    if (pendingUsers.length === 0) {
+      console.log(`✅ Nobody left to remind at stage "${stage.name}"`);
+      return [];
+    }
+
+    console.log(`\n📢 Stage "${stage.name}" (${stage.type}): reminding ${pendingUsers.length} users`);
+
+    let reminded;
+    if (stage.type === 'dm') {
+      reminded = await this.sendDirectReminders(threadTs, pendingUsers, stage);
+    } else if (stage.type === 'lead') {
+      reminded = await this.notifyLead(threadTs, pendingUsers, stage);
+    } else {
+      reminded = await this.sendThreadReminders(threadTs, pendingUsers, stage);
+    }
+
+    console.log(this.dryRun ? '🧪 [dry-run] No reminders were actually sent' : '✅ All reminders sent');
+    return reminded;
+  }
+
+  /**
+   * Politely ask people whose reply misses some standup questions to add
+   * them, once per standup, grouped by what is missing
+   */
+  async sendIncompleteReplyFollowUps(threadTs, incompleteReplies) {
+    if (incompleteReplies.size === 0) return [];
+
+    const stage = { name: INCOMPLETE_REPLY_STAGE };
+    const alreadyAsked = this.state ?
+      this.state.getRemindedUsers(this.team.channel, threadTs, stage.name) : new Set();
+    const groups = new Map();
+
+    incompleteReplies.forEach((missing, userId) => {
+      if (alreadyAsked.has(userId)) return;
+      const locale = this.getUserLocale(userId);
+      const labels = missing.map(name => translate(locale, `replies.sections.${name}`)).join(', ');
+      const text = this.formatText('replies.incomplete', this.team.replyValidation.text, { sections: labels }, locale);
+      groups.set(text, [...(groups.get(text) || []), userId]);
+    });
+
+    const asked = [];
+    for (const [text, userIds] of groups) {
+      try {
+        await this.postMessage({
+          channel: this.team.channel,
+          thread_ts: threadTs,
+          text: `${text}\n\n${userIds.map(userId => `<@${userId}>`).join(' ')}`
+        });
+        asked.push(...userIds);
+        this.recordReminded(threadTs, stage, userIds);
+      } catch (error) {
+        console.error('❌ Error asking to complete replies:', error.message);
+      }
+    }
+
+    if (asked.length > 0) {
+      console.log(`📝 Asked ${asked.length} users to complete their standup reply`);
+    }
+    return asked;
+  }
+
+  /**
+   * Record reminded users right after each successful send, so a retry
+   * after a partial failure doesn't remind them again
+   */
+  recordReminded(threadTs, stage, userIds) {
+    if (this.state && !this.dryRun) {
+      this.state.markReminded(this.team.channel, threadTs, stage.name, userIds);
+    }
+  }
+
+  /**
+   * Blocks of a reminder message: the Block Kit layout when the stage uses
+   * it (built from the reminder text, mentions and thread link), plus
+   * choice buttons when the team has them enabled
+   */
+  getReminderBlocks(message, threadTs, { locale = this.team.locale, layout = 'text', text = message, mentions = null, link = null } = {}) {
+    const date = getDateString(new Date(Number(threadTs) * 1000), this.team.timezone);
+    const options = { team: this.team.name, date, locale };
+
+    if (layout === 'blocks') {
+      const blocks = buildReminderLayout({ text, mentions, link, values: this.getTemplateValues(locale), locale });
+      return { blocks: this.team.interactive ? [...blocks, buildChoiceActions(options)] : blocks };
+    }
+    return this.team.interactive ? { blocks: buildReminderBlocks(message, options) } : {};
+  }
+
+  /**
+   * Reminder text for a user in their locale: the leave policy's text for
+   * their leave type, otherwise the configured one, otherwise the catalog
+   * message under key
+   */
+  getReminderText(userId, configured, key) {
+    const locale = this.getUserLocale(userId);
+    const text = this.formatText(key, this.reminderTexts[userId] || configured, { name: this.nameMap[userId] || userId }, locale);
+    return { text, locale };
+  }
+
+  /**
+   * Group users by the reminder text they should get (see getReminderText)
+   */
+  groupByReminderText(userIds, configured, key) {
+    const groups = new Map();
+
+    userIds.forEach(userId => {
+      const { text, locale } = this.getReminderText(userId, configured, key);
+      const group = groups.get(text) || { locale, userIds: [] };
+      group.userIds.push(userId);
+      groups.set(text, group);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Mention users in the standup thread, in batches
+   */
+  async sendThreadReminders(threadTs, usersToRemind, stage) {
+    const reminded = [];
+    const groups = this.groupByReminderText(usersToRemind, stage.text || this.team.reminderText, 'reminder.thread');
+
+    for (const [text, { locale, userIds }] of groups) {
+      reminded.push(...await this.sendThreadReminderBatches(threadTs, userIds, stage, text, locale));
+    }
+
+    return reminded;
+  }
+
+  /**
+   * Mention users with the same reminder text, in batches
+   */
+  async sendThreadReminderBatches(threadTs, usersToRemind, stage, text, locale) {
+    const reminded = [];
+    const batchSize = 20;
+
+    for (let i = 0; i < usersToRemind.length; i += batchSize) {
+      const batch = usersToRemind.slice(i, i + batchSize);
+      const mentions = batch.map(userId => `<@${userId}>`).join(' ');
+
+      const message = `${text}\n\n${mentions}`;
+
+      try {
+        await this.postMessage({
+          channel: this.team.channel,
+          thread_ts: threadTs,
+          text: message,
+          ...this.getReminderBlocks(message, threadTs, { locale, layout: stage.layout || this.team.reminderLayout, text, mentions }),
+          unfurl_links: false,
+          unfurl_media: false
+        });
+
+        reminded.push(...batch);
+        this.recordReminded(threadTs, stage, batch);
+        console.log(`   Batch ${Math.floor(i / batchSize) + 1}: reminded ${batch.length} users`);
+
+        if (i + batchSize < usersToRemind.length && !this.dryRun) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      } catch (error) {
+        console.error(`❌ Error sending reminder batch:`, error.message);
+      }
+    }
+
+    return reminded;
+  }
+
+  /**
+   * Send each user a private direct message linking to the thread
+   */
+  async sendDirectReminders(threadTs, usersToRemind, stage) {
+    const reminded = [];
+    const link = this.getThreadLink(threadTs);
+
+    for (const userId of usersToRemind) {
+      try {
+        const dmChannel = await this.openDirectMessage(userId);
+        const { text, locale } = this.getReminderText(userId, stage.text, 'reminder.dm');
+        const message = `${text}\n${link}`;
+        await this.postMessage({
+          channel: dmChannel,
+          text: message,
+          ...this.getReminderBlocks(message, threadTs, { locale, layout: stage.layout || this.team.reminderLayout, text, link })
+        });
+        reminded.push(userId);
+        this.recordReminded(threadTs, stage, [userId]);
+        console.log(`   ✉️  Sent DM to ${userId}`);
+      } catch (error) {
+        console.error(`❌ Error sending DM to ${userId}:`, error.message);
+      }
+    }
+
+    return reminded;
+  }
+
+  /**
+   * Send the team lead(s) a list of users still missing
+   */
+  async notifyLead(threadTs, usersToRemind, stage) {
+    const mentions = usersToRemind.map(userId => `<@${userId}>`).join(', ');
+    let notified = false;
+
+    for (const leadId of stage.lead) {
+      const text = this.formatText('reminder.lead', stage.text,
+        { name: this.nameMap[leadId] || leadId, missingCount: usersToRemind.length }, this.getUserLocale(leadId));
+      const message = `${text} ${mentions}\n${this.getThreadLink(threadTs)}`;
+      try {
+        const dmChannel = await this.openDirectMessage(leadId);
+        await this.postMessage({ channel: dmChannel, text: message });
+        notified = true;
+        console.log(`   👤 Notified lead ${leadId} about ${usersToRemind.length} users`);
+      } catch (error) {
+        console.error(`❌ Error notifying lead ${leadId}:`, error.message);
+      }
+    }
+
+    if (notified) {
+      this.recordReminded(threadTs, stage, usersToRemind);
+    }
+
+    return notified ? usersToRemind : [];
+  }
+
+  /**
+   * Log summary of skipped users
+   */
+  logSkippedUsersSummary() {
+    const labels = this.leavePolicy.getLabels();
+    console.log('\n📊 Skipped Users Summary:');
+
+    Object.entries(this.skippedUsers).forEach(([category, names]) => {
+      if (names.length > 0) {
+        console.log(`   ${SKIP_LOG_LABELS[category] || localizeText(labels[category], this.team.locale) || category} (${names.length}): ${names.join(', ')}`);
+      }
+    });
+
+    const totalSkipped = this.countSkipped();
+    if (totalSkipped === 0) {
+      console.log('   No users were skipped');
+    } else {
+      console.log(`   Total skipped: ${totalSkipped}`);
+    }
+  }
+
+  /**
+   * Count users skipped across all categories
+   */
+  countSkipped() {
+    return Object.values(this.skippedUsers).reduce((sum, arr) => sum + arr.length, 0);
+  }
+
+  /**
+   * Log team configuration at the start of a run
+   */
+  logTeamHeader() {
+    const team = this.team;
+
+    console.log(`\n👥 Team: ${team.name}${this.dryRun ? ' (dry-run)' : ''}`);
+    console.log(`   Channel: ${team.channel}`);
+    console.log(`   User Group: ${team.userGroupId}`);
+    console.log(`   Timezone: ${team.timezone} (today is ${getDateString(new Date(), team.timezone)})`);
+    console.log(`   Leave providers: ${this.leaveProvider ? this.leaveProvider.name : 'Disabled'}`);
+  }
+
+  /**
+   * Check if today is a public holiday for the whole team. When some people
+   * have their own holiday calendar, a public holiday on the team calendar
+   * doesn't stop the run: people on it are skipped individually instead
+   * (company holidays still apply to everyone)
+   */
+  async checkHoliday() {
+    const holidayStatus = await this.holidayChecker.isHolidayToday();
+    if (holidayStatus.isHoliday && holidayStatus.type !== 'company' &&
+        Object.keys(this.personHolidayCheckers).length > 0) {
+      console.log(`\n🎉 Today is a holiday in ${this.holidayChecker.label}: ${holidayStatus.name}`);
+      console.log('   Some people have their own holiday calendar, skipping people individually.');
+      return { isHoliday: false };
+    }
+
+    if (holidayStatus.isHoliday) {
+      console.log(`\n🎉 Today is a bank holiday: ${holidayStatus.name}`);
+      console.log('   Skipping standup for today.');
+
+      // Optionally, get next holiday info
+      const nextHoliday = await this.holidayChecker.getNextHoliday();
+      if (nextHoliday) {
+        console.log(`   Next holiday: ${nextHoliday.name} in ${nextHoliday.daysUntil} days`);
+      }
+    }
+    return holidayStatus;
+  }
+
+  /**
+   * Collect who is in the group, who replied and who still needs a reminder
+   * (null if the user group is empty)
+   */
+  async collectStatus(standupMessageTs) {
+    // Get Slack users with emails
+    const { emailMap, nameMap } = await this.getSlackUsersWithEmails();
+
+    // Get members of the user group
+    const groupMembers = await this.getUserGroupMembers();
+    if (groupMembers.size === 0) {
+      console.log('⚠️  User group has no members. Skipping team.');
+      return null;
+    }
+
+    // Get users who have already responded
+    const replies = await this.getThreadReplies(standupMessageTs);
+    const responders = this.getThreadResponders(replies);
+    const incompleteReplies = this.findIncompleteReplies(replies, groupMembers);
+    const lateResponders = this.findLateResponders(standupMessageTs, responders);
+
+    // Find users who need reminders (in group but haven't responded)
+    const needReminderIds = [...groupMembers].filter(userId => !responders.has(userId));
+
+    console.log(`\n📊 Initial Summary:`);
+    console.log(`   Group members: ${groupMembers.size}`);
+    console.log(`   Already responded: ${responders.size}`);
+    if (lateResponders.size > 0) {
+      console.log(`   Responded after the ${this.team.deadline} deadline: ${lateResponders.size}`);
+    }
+    console.log(`   Need reminder (before filtering): ${needReminderIds.length}`);
+
+    // Filter out users who are not working today
+    const workingUsersToRemind = await this.filterWorkingUsers(needReminderIds, emailMap, nameMap);
+
+    console.log(`   Need reminder (after filtering): ${workingUsersToRemind.length}`);
+    const repliedCount = [...groupMembers].filter(userId => responders.has(userId)).length;
+    const expectedCount = repliedCount + workingUsersToRemind.length;
+    Object.assign(this.templateValues, {
+      missingCount: workingUsersToRemind.length,
+      missingNames: workingUsersToRemind.map(userId => nameMap[userId] || userId).join(', '),
+      repliedCount,
+      expectedCount
+    });
+
+    return { emailMap, nameMap, groupMembers, replies, responders, lateResponders, incompleteReplies, workingUsersToRemind, expectedCount };
+  }
+
+  /**
+   * Get the reminder stages each user got for a standup; follow-ups on
+   * incomplete replies are not reminders
+   */
+  getRemindersByUser(threadTs) {
+    if (!this.state) return {};
+
+    const byUser = this.state.getRemindersByUser(this.team.channel, threadTs);
+    return Object.fromEntries(Object.entries(byUser)
+      .map(([userId, stages]) => [userId, stages.filter(stage => stage !== INCOMPLETE_REPLY_STAGE)])
+      .filter(([, stages]) => stages.length > 0));
+  }
+
+  /**
+   * Record today's participation of every group member in the history store,
+   * after finishing the previous recorded day
+   */
+  async recordHistory(standupMessageTs, { nameMap, groupMembers, responders, lateResponders, incompleteReplies }) {
+    if (!this.history || this.dryRun) return;
+
+    const date = getDateString(new Date(Number(standupMessageTs) * 1000), this.team.timezone);
+    await this.finalizePreviousDay(date);
+
+    const remindersByUser = this.getRemindersByUser(standupMessageTs);
+    const users = {};
+
+    groupMembers.forEach(userId => {
+      const replyTs = responders.get(userId) || null;
+      users[userId] = {
+        name: nameMap[userId] || userId,
+        replied: Boolean(replyTs),
+        replyTs,
+        latencySeconds: replyTs ? Math.round(Number(replyTs) - Number(standupMessageTs)) : null,
+        late: lateResponders.has(userId),
+        missingSections: incompleteReplies.get(userId) || null,
+        reminded: remindersByUser[userId] || [],
+        leave: this.skipReasons[userId] || null
+      };
+    });
+
+    this.history.recordDay({
+      team: this.team.name,
+      date,
+      channel: this.team.channel,
+      standupTs: standupMessageTs,
+      users
+    });
+  }
+
+  /**
+   * Re-read the thread of the last day recorded before a date, once, so
+   * replies posted after that day's last run (the deadline notice or report
+   * runs at the deadline) count as replied, and late
+   */
+  async finalizePreviousDay(date) {
+    const day = this.history.getDays({ team: this.team.name }).filter(entry => entry.date < date).pop();
+    if (!day || day.final || day.channel !== this.team.channel) return;
+
+    try {
+      const replies = await this.getThreadReplies(day.standupTs);
+      const responders = this.getThreadResponders(replies);
+      const lateResponders = this.findLateResponders(day.standupTs, responders);
+      const incompleteReplies = this.findIncompleteReplies(replies, new Set(Object.keys(day.users)));
+
+      const users = Object.fromEntries(Object.entries(day.users).map(([userId, user]) => {
+        const replyTs = responders.get(userId) || null;
+        return [userId, {
+          ...user,
+          replied: Boolean(replyTs),
+          replyTs,
+          latencySeconds: replyTs ? Math.round(Number(replyTs) - Number(day.standupTs)) : null,
+          late: lateResponders.has(userId),
+          missingSections: incompleteReplies.get(userId) || null
+        }];
+      }));
+
+      this.history.recordDay({ ...day, users, final: true });
+      console.log(`📚 Updated participation of ${day.date} with replies after its last run`);
+    } catch (error) {
+      console.error(`⚠️  Could not update participation of ${day.date}:`, error.message);
+    }
+  }
+
+  /**
+   * Run the full reminder process for the team and return a summary
+   */
+  async run() {
+    const team = this.team;
+    const summary = { team: team.name, status: 'completed', stage: null, responded: 0, reminded: 0, skipped: 0 };
+
+    if (this.dryRun) {
+      summary.dryRun = true;
+      summary.messages = this.messages;
+    }
+
+    this.logTeamHeader();
+
+    // 1. Check if today is a public holiday in the team's region
+    const holidayStatus = await this.checkHoliday();
+    if (holidayStatus.isHoliday) {
+      summary.status = 'holiday';
+      return summary;
+    }
+
+    // 2. Pick the escalation stage that is due now
+    const stage = this.selectStage();
+    if (!stage) {
+      console.log('⏰ No reminder stage is due yet. Skipping team.');
+      summary.status = 'not_due';
+      return summary;
+    }
+    summary.stage = stage.name;
+    console.log(`   Stage: ${stage.name} (${stage.type})`);
+
+    // 3. Find today's standup message
+    const standupMessageTs = await this.findTodayStandupMessage();
+    if (!standupMessageTs && team.prompt.fallback) {
+      // Nobody has seen a prompt yet, so there's nobody to remind this run
+      console.log('⚠️  No standup message found for today. Posting the prompt ourselves.');
+      summary.standupTs = await this.postStandupPrompt();
+      summary.status = 'prompt_posted';
+      return summary;
+    }
+    if (!standupMessageTs) {
+      console.log('⚠️  No standup message found for today. Skipping team.');
+      summary.status = 'no_standup';
+      return summary;
+    }
+
+    // 4. Collect group members, responders and working users to remind
+    const status = await this.collectStatus(standupMessageTs);
+    if (!status) {
+      summary.status = 'no_members';
+      return summary;
+    }
+    const { nameMap, responders, lateResponders, incompleteReplies, workingUsersToRemind } = status;
+
+    // 5. Send reminders for the current stage, and follow-ups on replies
+    // that miss some of the standup questions
+    const reminded = await this.sendReminders(standupMessageTs, workingUsersToRemind, stage);
+    await this.sendIncompleteReplyFollowUps(standupMessageTs, incompleteReplies);
+
+    // 6. Log summary of skipped users
+    this.logSkippedUsersSummary();
+
+    // 7. Record today's participation
+    await this.recordHistory(standupMessageTs, status);
+
+    summary.standupTs = standupMessageTs;
+    summary.responded = responders.size;
+    summary.late = lateResponders.size;
+    summary.reminded = reminded.length;
+    summary.skipped = this.countSkipped();
+    summary.incomplete = incompleteReplies.size;
+
+    if (this.dryRun) {
+      summary.incompleteUsers = [...incompleteReplies].map(([userId, missing]) => ({ id: userId, name: nameMap[userId] || userId, missing }));
+      summary.respondedUsers = [...responders.keys()].map(userId => ({ id: userId, name: nameMap[userId] || userId }));
+      summary.usersToRemind = reminded.map(userId => ({ id: userId, name: nameMap[userId] || userId }));
+      summary.skippedUsers = this.skippedUsers;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Post today's standup prompt for the team unless a standup post already
+   * exists (posted by the bot earlier, or by Workflow Builder)
+   */
+  async postPrompt() {
+    const summary = { team: this.team.name, mode: 'prompt', status: 'completed', standupTs: null };
+
+    if (this.dryRun) {
+      summary.dryRun = true;
+      summary.messages = this.messages;
+    }
+
+    this.logTeamHeader();
+
+    const holidayStatus = await this.checkHoliday();
+    if (holidayStatus.isHoliday) {
+      summary.status = 'holiday';
+      return summary;
+    }
+
+    const standupMessageTs = await this.findTodayStandupMessage();
+    if (standupMessageTs) {
+      console.log('⏭️  Today\'s standup is already posted. Not posting the prompt again.');
+      summary.status = 'already_posted';
+      summary.standupTs = standupMessageTs;
+      return summary;
+    }
+
+    summary.standupTs = await this.postStandupPrompt();
+    return summary;
+  }
+
+  /**
+   * Checks shared by jobs that post once per standup after the deadline:
+   * returns today's standup ts, or null with the reason in summary.status
+   */
+  async findStandupAfterDeadline(summary, what, isPosted) {
+    const holidayStatus = await this.checkHoliday();
+    if (holidayStatus.isHoliday) {
+      summary.status = 'holiday';
+      return null;
+    }
+
+    const standupMessageTs = await this.findTodayStandupMessage();
+    if (!standupMessageTs) {
+      console.log(`⚠️  No standup message found for today. Skipping ${what}.`);
+      summary.status = 'no_standup';
+      return null;
+    }
+    summary.standupTs = standupMessageTs;
+
+    if (!this.isPastDeadline(standupMessageTs)) {
+      console.log(`⏰ The ${this.team.deadline} deadline hasn't passed yet. Skipping ${what}.`);
+      summary.status = 'not_due';
+      return null;
+    }
+
+    if (isPosted(standupMessageTs)) {
+      console.log(`⏭️  ${what[0].toUpperCase()}${what.slice(1)} already posted for this standup.`);
+      summary.status = 'already_posted';
+      return null;
+    }
+
+    return standupMessageTs;
+  }
+
+  /**
+   * After the deadline, post who hasn't replied to the standup thread
+   * (or to "deadlineNotice.channel"), once per standup
+   */
+  async postDeadlineNotice() {
+    const team = this.team;
+    const notice = team.deadlineNotice || {};
+    const summary = { team: team.name, mode: 'deadline', status: 'completed', missed: 0 };
+
+    if (this.dryRun) {
+      summary.dryRun = true;
+      summary.messages = this.messages;
+    }
+
+    this.logTeamHeader();
+
+    // Judge half-day leave over the whole standup, not at notice time
+    this.leaveCheckTime = null;
+
+    const standupMessageTs = await this.findStandupAfterDeadline(summary, 'deadline notice',
+      ts => Boolean(this.state?.isDeadlineNoticePosted(team.channel, ts)));
+    if (!standupMessageTs) return summary;
+
+    const status = await this.collectStatus(standupMessageTs);
+    if (!status) {
+      summary.status = 'no_members';
+      return summary;
+    }
+
+    this.logSkippedUsersSummary();
+    await this.recordHistory(standupMessageTs, status);
+
+    const missed = status.workingUsersToRemind;
+    summary.missed = missed.length;
+    if (missed.length === 0) {
+      console.log('✅ Everyone working today replied before the deadline notice');
+      return summary;
+    }
+
+    const text = this.formatText('deadline.notice', notice.text, { missingCount: missed.length });
+    const mentions = missed.map(userId => `<@${userId}>`).join(', ');
+    await this.postMessage({
+      channel: notice.channel || team.channel,
+      ...(notice.channel ? {} : { thread_ts: standupMessageTs }),
+      text: `${text} ${mentions}${notice.channel ? `\n${this.getThreadLink(standupMessageTs)}` : ''}`,
+      unfurl_links: false
+    });
+    if (this.state && !this.dryRun) {
+      this.state.markDeadlineNoticePosted(team.channel, standupMessageTs);
+    }
+
+    console.log(`⏰ Deadline notice posted: ${missed.length} missed the ${team.deadline} deadline`);
+    return summary;
+  }
+
+  /**
+   * After the deadline, post a digest of the replies: each person's plans
+   * for today, with blockers at the top. Goes to the standup thread, or to
+   * "digest.channel" when set; once per standup
+   */
+  async postDigest() {
+    const team = this.team;
+    const summary = { team: team.name, mode: 'digest', status: 'completed', replies: 0, blockers: 0 };
+
+    if (this.dryRun) {
+      summary.dryRun = true;
+      summary.messages = this.messages;
+    }
+
+    this.logTeamHeader();
+
+    if (!team.digest) {
+      console.log('⏭️  No "digest" configured. Skipping digest.');
+      summary.status = 'no_digest';
+      return summary;
+    }
+
+    const standupMessageTs = await this.findStandupAfterDeadline(summary, 'digest',
+      ts => Boolean(this.state?.isDigestPosted(team.channel, ts)));
+    if (!standupMessageTs) return summary;
+
+    // Expected are the group members working today, as in the report
+    const status = await this.collectStatus(standupMessageTs);
+    if (!status) {
+      summary.status = 'no_members';
+      return summary;
+    }
+    const { groupMembers, replies, expectedCount } = status;
+    const entries = [];
+
+    console.log(`📋 Extracting ${this.digestExtractor.name} digest from replies...`);
+    for (const [userId, reply] of this.groupRepliesByUser(replies, groupMembers)) {
+      entries.push({
+        id: userId,
+        ts: reply.ts,
+        link: this.getReplyLink(reply.ts, standupMessageTs),
+        text: reply.texts.join('\n'),
+        ...await this.digestExtractor.extractAll(reply.texts)
+      });
+    }
+
+    const data = buildDigestData({
+      team,
+      standupTs: standupMessageTs,
+      threadLink: this.getThreadLink(standupMessageTs),
+      entries,
+      expected: expectedCount
+    });
+
+    await this.postMessage({
+      channel: team.digest.channel || team.channel,
+      ...(team.digest.channel ? {} : { thread_ts: standupMessageTs }),
+      text: data.fallbackText,
+      blocks: buildDigestBlocks(data),
+      unfurl_links: false
+    });
+    if (this.state && !this.dryRun) {
+      this.state.markDigestPosted(team.channel, standupMessageTs);
+    }
+
+    console.log(`✅ Digest posted: ${entries.length} replies, ${data.blockers.length} with blockers`);
+    summary.replies = entries.length;
+    summary.blockers = data.blockers.length;
+    return summary;
+  }
+
+  /**
+   * Find blockers in the replies of group members, one per person with a
+   * link to their first reply mentioning it
+   */
+  findBlockers(replies, groupMembers, threadTs) {
+    const options = { keywords: this.team.blockers.keywords, sections: this.team.replyValidation?.sections };
+    const blockers = new Map();
+
+    replies
+      .filter(message => groupMembers.has(message.user))
+      .forEach(message => {
+        const text = detectBlocker(message.text, options);
+        if (!text) return;
+
+        const blocker = blockers.get(message.user);
+        if (blocker) {
+          blocker.text = `${blocker.text}; ${text}`;
+        } else {
+          blockers.set(message.user, { id: message.user, text, link: this.getReplyLink(message.ts, threadTs) });
+        }
+      });
+
+    return [...blockers.values()];
+  }
+
+  /**
+   * After the deadline, collect the day's blockers and send them to the
+   * team lead(s) and/or "blockers.channel" (the standup thread when neither
+   * is set); once per standup
+   */
+  async postBlockers() {
+    const team = this.team;
+    const summary = { team: team.name, mode: 'blockers', status: 'completed', blockers: 0 };
+
+    if (this.dryRun) {
+      summary.dryRun = true;
+      summary.messages = this.messages;
+    }
+
+    this.logTeamHeader();
+
+    if (!team.blockers) {
+      console.log('⏭️  No "blockers" configured. Skipping blockers.');
+      summary.status = 'no_blockers_config';
+      return summary;
+    }
+
+    const standupMessageTs = await this.findStandupAfterDeadline(summary, 'blockers notice',
+      ts => Boolean(this.state?.isBlockersPosted(team.channel, ts)));
+    if (!standupMessageTs) return summary;
+
+    const groupMembers = await this.getUserGroupMembers();
+    const replies = await this.getThreadReplies(standupMessageTs);
+    const blockers = this.findBlockers(replies, groupMembers, standupMessageTs);
+    summary.blockers = blockers.length;
+
+    if (blockers.length === 0) {
+      console.log('✅ No blockers mentioned today');
+      return summary;
+    }
+
+    const date = getDateString(new Date(Number(standupMessageTs) * 1000), team.timezone);
+    const message = locale => ({ text: buildBlockersText({ team, date, blockers, locale }), unfurl_links: false });
+    let posted = false;
+
+    // Slack locales of the leads
+    if (team.userLocales && team.blockers.lead.length > 0) {
+      await this.getSlackUsersWithEmails();
+    }
+
+    for (const leadId of team.blockers.lead) {
+      try {
+        const dmChannel = await this.openDirectMessage(leadId);
+        await this.postMessage({ channel: dmChannel, ...message(this.getUserLocale(leadId)) });
+        posted = true;
+        console.log(`   👤 Sent ${blockers.length} blockers to lead ${leadId}`);
+      } catch (error) {
+        console.error(`❌ Error sending blockers to lead ${leadId}:`, error.message);
+      }
+    }
+
+    if (team.blockers.channel || team.blockers.lead.length === 0) {
+      await this.postMessage({
+        channel: team.blockers.channel || team.channel,
+        ...(team.blockers.channel ? {} : { thread_ts: standupMessageTs }),
+        ...message(team.locale)
+      });
+      posted = true;
+    }
+
+    if (posted && this.state && !this.dryRun) {
+      this.state.markBlockersPosted(team.channel, standupMessageTs);
+    }
+
+    console.log(`🚧 Blockers today: ${blockers.length}`);
+    return summary;
+  }
+
+  /**
+   * Post the daily completion report for the team to its report channel
+   */
+  async report() {
+    const team = this.team;
+    const summary = { team: team.name, mode: 'report', status: 'completed', completion: null };
+
+    if (this.dryRun) {
+      summary.dryRun = true;
+      summary.messages = this.messages;
+    }
+
+    this.logTeamHeader();
+
+    // Judge half-day leave over the whole standup, not at report time
+    this.leaveCheckTime = null;
+
+    if (!team.reportChannel) {
+      console.log('⏭️  No "reportChannel" configured. Skipping report.');
+      summary.status = 'no_report_channel';
+      return summary;
+    }
+
+    const holidayStatus = await this.checkHoliday();
+    if (holidayStatus.isHoliday) {
+      summary.status = 'holiday';
+      return summary;
+    }
+
+    const standupMessageTs = await this.findTodayStandupMessage();
+    if (!standupMessageTs) {
+      console.log('⚠️  No standup message found for today. Skipping report.');
+      summary.status = 'no_standup';
+      return summary;
+    }
+
+    const status = await this.collectStatus(standupMessageTs);
+    if (!status) {
+      summary.status = 'no_members';
+      return summary;
+    }
+
+    await this.recordHistory(standupMessageTs, status);
+
+    const data = buildReportData({
+      team,
+      standupTs: standupMessageTs,
+      threadLink: this.getThreadLink(standupMessageTs),
+      ...status,
+      remindersByUser: this.getRemindersByUser(standupMessageTs),
+      skippedUsers: this.skippedUsers,
+      skipLabels: this.leavePolicy.getLabels()
+    });
+
+    await this.postMessage({
+      channel: team.reportChannel,
+      text: data.fallbackText,
+      blocks: buildReportBlocks(data),
+      unfurl_links: false
+    });
+
+    console.log(`✅ Daily report posted to ${team.reportChannel}: ${data.completion}% complete`);
+    summary.completion = data.completion;
+    return summary;
+  }
+}
+
+export default StandupReminder;
@@ -0,0 +1,117 @@
+import { getDateString, formatTime } from './time.js';
+import { translate, getMessage, localizeText } from './i18n.js';
+
+// Slack limits section text to 3000 characters, keep lists well below that
+const MAX_LIST_ITEMS = 40;
+
+/**
+ * Format user list as bullet lines, truncating long lists
+ */
+function formatList(lines, locale) {
+  if (lines.length <= MAX_LIST_ITEMS) return lines.join('\n');
+  return [...lines.slice(0, MAX_LIST_ITEMS), translate(locale, 'report.more', { count: lines.length - MAX_LIST_ITEMS })].join('\n');
+}
+
+/**
+ * Label of a skip category: the leave policy's label if configured,
+ * otherwise the catalog one, otherwise the category name
+ */
+function getSkipLabel(category, skipLabels, locale) {
+  return localizeText(skipLabels[category], locale) || getMessage(locale, `skip.${category}`) || category;
+}
+
+/**
+ * Combine collected standup status into report data
+ */
+export function buildReportData({ team, standupTs, threadLink, groupMembers, responders, lateResponders = new Set(), workingUsersToRemind, remindersByUser, skippedUsers, skipLabels = {} }) {
+  const replied = [...groupMembers]
+    .filter(userId => responders.has(userId))
+    .map(userId => ({ id: userId, ts: responders.get(userId), late: lateResponders.has(userId), reminded: remindersByUser[userId] || [] }))
+    .sort((a, b) => Number(a.ts) - Number(b.ts));
+
+  const missing = workingUsersToRemind.map(userId => ({ id: userId, reminded: remindersByUser[userId] || [] }));
+  const reminded = [...replied, ...missing].filter(user => user.reminded.length > 0);
+
+  const expected = replied.length + missing.length;
+  const completion = expected === 0 ? 100 : Math.round(replied.length / expected * 100);
+  const date = getDateString(new Date(Number(standupTs) * 1000), team.timezone);
+
+  return {
+    team: team.name,
+    locale: team.locale,
+    timezone: team.timezone,
+    deadline: team.deadline,
+    date,
+    threadLink,
+    replied,
+    late: replied.filter(user => user.late),
+    missing,
+    reminded,
+    skippedUsers,
+    skipLabels,
+    expected,
+    completion,
+    fallbackText: translate(team.locale, 'report.fallback', { team: team.name, date, completion, replied: replied.length, expected })
+  };
+}
+
+/**
+ * Build Block Kit blocks for the daily completion report
+ */
+export function buildReportBlocks(data) {
+  const locale = data.locale;
+  const t = (key, values) => translate(locale, key, values);
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: t('report.header', { team: data.team, date: data.date }) }
+    },
+    {
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: t('report.completion', { completion: data.completion, replied: data.replied.length, expected: data.expected }) },
+        { type: 'mrkdwn', text: t('report.reminded', { count: data.reminded.length }) },
+        ...(data.late.length > 0 ? [{ type: 'mrkdwn', text: t('report.late', { deadline: data.deadline, count: data.late.length }) }] : [])
+      ]
+    }
+  ];
+
+  if (data.replied.length > 0) {
+    const lines = data.replied.map(user => {
+      const time = formatTime(new Date(Number(user.ts) * 1000), data.timezone);
+      const notes = [user.late && t('report.lateNote'), user.reminded.length > 0 && t('report.remindedNote')].filter(Boolean);
+      return `• <@${user.id}> — ${time}${user.late ? ' ⏰' : ''}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    });
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${t('report.replied', { count: data.replied.length })}\n${formatList(lines, locale)}` }
+    });
+  }
+
+  if (data.missing.length > 0) {
+    const lines = data.missing.map(user =>
+      `• <@${user.id}>${user.reminded.length > 0 ? ` — ${t('report.reminders', { stages: user.reminded.join(', ') })}` : ''}`
+    );
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${t('report.missing', { count: data.missing.length })}\n${formatList(lines, locale)}` }
+    });
+  }
+
+  const skippedLines = Object.entries(data.skippedUsers)
+    .filter(([, names]) => names.length > 0)
+    .map(([category, names]) => `${getSkipLabel(category, data.skipLabels, locale)}: ${names.join(', ')}`);
+  if (skippedLines.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${t('report.skipped')}\n${formatList(skippedLines, locale)}` }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `<${data.threadLink}|${t('report.openThread')}>` }]
+  });
+
+  return blocks;
+}
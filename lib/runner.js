@@ -0,0 +1,150 @@
+import { WebClient } from '@slack/web-api';
+import TimetasticAPI, { loadTimetasticMapping } from './timetastic.js';
+import HolidayChecker from './holidays.js';
+import CompanyHolidays from './company-holidays.js';
+import StandupReminder from './reminder.js';
+import { createLeaveProvider } from './leave/index.js';
+import { createDigestExtractor } from './digest/index.js';
+import ReminderState from './state.js';
+import ParticipationHistory from './history.js';
+import UserPreferences from './preferences.js';
+import { validateTeam } from './config.js';
+
+/**
+ * Create Slack clients and integrations shared by all teams
+ */
+export function createContext({ dryRun = false } = {}) {
+  return {
+    botClient: new WebClient(process.env.SLACK_BOT_TOKEN),
+    userClient: new WebClient(process.env.SLACK_USER_TOKEN),
+    timetastic: process.env.TIMETASTIC_API_KEY ?
+      new TimetasticAPI(process.env.TIMETASTIC_API_KEY, { mapping: loadTimetasticMapping() }) : null,
+    // Record of reminders already sent (never written in dry-run mode)
+    state: new ReminderState(undefined, { readOnly: dryRun }),
+    // Daily participation history for statistics
+    history: new ParticipationHistory(undefined, { readOnly: dryRun }),
+    // Users' choices from reminder buttons (written by the HTTP server)
+    preferences: new UserPreferences(undefined, { readOnly: true })
+  };
+}
+
+/**
+ * Reload stores to pick up changes made by other processes since the last run
+ */
+export function refreshContext(context) {
+  context.state.load();
+  context.history.load();
+  context.preferences.load();
+}
+
+/**
+ * Create holiday checkers for people with their own holiday calendar,
+ * keyed by Slack user ID
+ */
+function createPersonHolidayCheckers(team, companyHolidays) {
+  const checkers = {};
+
+  Object.entries(team.people).forEach(([userId, person]) => {
+    if (person.holidays) {
+      checkers[userId] = new HolidayChecker(person.holidays.country, person.holidays.region, team.timezone, companyHolidays);
+    }
+  });
+
+  return checkers;
+}
+
+/**
+ * Create the reminder pipeline for one team using the shared context
+ */
+export function createReminder(team, context, { stageName = null, dryRun = false } = {}) {
+  const companyHolidays = new CompanyHolidays(team.companyHolidays);
+
+  return new StandupReminder({
+    team,
+    botClient: context.botClient,
+    userClient: context.userClient,
+    leaveProvider: createLeaveProvider(team, context),
+    holidayChecker: new HolidayChecker(team.holidays.country, team.holidays.region, team.timezone, companyHolidays),
+    personHolidayCheckers: createPersonHolidayCheckers(team, companyHolidays),
+    state: context.state,
+    history: context.history,
+    preferences: context.preferences,
+    digestExtractor: createDigestExtractor(team),
+    stageName,
+    dryRun
+  });
+}
+
+/**
+ * Run the reminder pipeline for each team; failures are isolated per team
+ * so one broken team doesn't stop the rest
+ */
+export async function runTeams(teams, context, { mode = 'remind', stageName = null, dryRun = false } = {}) {
+  const results = [];
+
+  refreshContext(context);
+
+  for (const team of teams) {
+    if (!team.enabled) {
+      console.log(`\n⏭️  Team ${team.name} is disabled, skipping`);
+      results.push({ team: team.name, status: 'disabled' });
+      continue;
+    }
+
+    const errors = validateTeam(team);
+    if (errors.length > 0) {
+      console.error(`\n❌ Invalid configuration for team ${team.name}: ${errors.join(', ')}`);
+      results.push({ team: team.name, status: 'failed', error: errors.join(', ') });
+      continue;
+    }
+
+    try {
+      const reminder = createReminder(team, context, { stageName, dryRun });
+      if (mode === 'report') {
+        results.push(await reminder.report());
+      } else if (mode === 'prompt') {
+        results.push(await reminder.postPrompt());
+      } else if (mode === 'deadline') {
+        results.push(await reminder.postDeadlineNotice());
+      } else if (mode === 'digest') {
+        results.push(await reminder.postDigest());
+      } else if (mode === 'blockers') {
+        results.push(await reminder.postBlockers());
+      } else {
+        results.push(await reminder.run());
+      }
+    } catch (error) {
+      console.error(`❌ Error in reminder process for team ${team.name}:`, error);
+      results.push({ team: team.name, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Log per-team results of the run
+ */
+export function logTeamsSummary(results) {
+  console.log('\n📊 Teams Summary:');
+
+  results.forEach(result => {
+    if (result.status === 'failed') {
+      console.log(`   ❌ ${result.team}: failed - ${result.error}`);
+    } else if (result.status === 'completed' && result.mode === 'report') {
+      console.log(`   📊 ${result.team}: report posted, ${result.completion}% complete`);
+    } else if (result.status === 'completed' && result.mode === 'blockers') {
+      console.log(`   🚧 ${result.team}: ${result.blockers} blockers today`);
+    } else if (result.status === 'completed' && result.mode === 'digest') {
+      console.log(`   📋 ${result.team}: digest posted, ${result.replies} replies, ${result.blockers} with blockers`);
+    } else if (result.status === 'completed' && result.mode === 'deadline') {
+      console.log(`   ⏰ ${result.team}: ${result.missed} missed the deadline`);
+    } else if (result.status === 'completed' && result.mode === 'prompt') {
+      console.log(`   📝 ${result.team}: standup prompt posted`);
+    } else if (result.status === 'completed') {
+      console.log(`   ✅ ${result.team} [${result.stage}]: ${result.responded} responded${result.late ? ` (${result.late} late)` : ''}, ${result.reminded} reminded, ${result.skipped} skipped`);
+    } else {
+      console.log(`   ⏭️  ${result.team}: ${result.status}`);
+    }
+  });
+}
@@ -0,0 +1,187 @@
+import cron from 'node-cron';
+import { parseTimeOfDay } from './time.js';
+import { validateTeam } from './config.js';
+
+// Log labels of jobs that aren't reminder stages
+const JOB_MODE_LABELS = {
+  prompt: 'standup prompt',
+  deadline: 'deadline notice',
+  digest: 'reply digest',
+  blockers: 'blockers notice',
+  report: 'daily report'
+};
+
+/**
+ * Schedules reminder runs per team from cron expressions evaluated in the
+ * team's IANA timezone, so local times stay correct across DST changes
+ */
+class StandupScheduler {
+  constructor({ teams, runTeam }) {
+    this.teams = teams;
+    this.runTeam = runTeam;
+    this.tasks = [];
+    // Last queued run of each team (jobs of a team run one after another)
+    this.queues = new Map();
+    // Jobs queued or running, so a job isn't queued again behind itself
+    this.pending = new Set();
+  }
+
+  /**
+   * Build cron jobs for a team: one per timed stage (on scheduleDays),
+   * explicit "schedule" entries that run whichever stage is due, the
+   * standup prompt at "prompt.postAt", the deadline notice at the
+   * "deadline", the reply digest and blockers notice at "digest.postAt" /
+   * "blockers.postAt" (or the deadline) and the daily report at "reportAt"
+   */
+  buildJobs(team) {
+    const jobs = [];
+
+    if (team.prompt.postAt) {
+      const minutes = parseTimeOfDay(team.prompt.postAt);
+      jobs.push({
+        expression: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${team.scheduleDays}`,
+        mode: 'prompt',
+        stageName: null
+      });
+    }
+
+    team.stages
+      .filter(stage => stage.at)
+      .forEach(stage => {
+        const minutes = parseTimeOfDay(stage.at);
+        jobs.push({
+          expression: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${team.scheduleDays}`,
+          mode: 'remind',
+          stageName: stage.name
+        });
+      });
+
+    team.schedule.forEach(expression => {
+      jobs.push({ expression, mode: 'remind', stageName: null });
+    });
+
+    if (team.deadlineNotice) {
+      const minutes = parseTimeOfDay(team.deadline);
+      jobs.push({
+        expression: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${team.scheduleDays}`,
+        mode: 'deadline',
+        stageName: null
+      });
+    }
+
+    if (team.digest) {
+      const minutes = parseTimeOfDay(team.digest.postAt || team.deadline);
+      jobs.push({
+        expression: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${team.scheduleDays}`,
+        mode: 'digest',
+        stageName: null
+      });
+    }
+
+    if (team.blockers) {
+      const minutes = parseTimeOfDay(team.blockers.postAt || team.deadline);
+      jobs.push({
+        expression: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${team.scheduleDays}`,
+        mode: 'blockers',
+        stageName: null
+      });
+    }
+
+    if (team.reportAt) {
+      const minutes = parseTimeOfDay(team.reportAt);
+      jobs.push({
+        expression: `${minutes % 60} ${Math.floor(minutes / 60)} * * ${team.scheduleDays}`,
+        mode: 'report',
+        stageName: null
+      });
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Run a job after the team's queued and running jobs (several jobs often
+   * fire at the same minute, e.g. the last stage, deadline notice, digest
+   * and blockers at the deadline). The same job still pending is skipped
+   */
+  trigger(team, job) {
+    const key = `${team.name}|${job.mode}|${job.stageName}|${job.expression}`;
+    if (this.pending.has(key)) {
+      console.log(`⏳ Team ${team.name} is still running ${job.expression}, skipping`);
+      return this.queues.get(team.name);
+    }
+
+    const previous = this.queues.get(team.name);
+    if (previous) {
+      console.log(`⏳ Team ${team.name} is busy, queued ${JOB_MODE_LABELS[job.mode] || job.stageName || job.expression}`);
+    }
+
+    this.pending.add(key);
+    const run = (previous || Promise.resolve())
+      .then(() => this.runJob(team, job))
+      .finally(() => {
+        this.pending.delete(key);
+        if (this.queues.get(team.name) === run) this.queues.delete(team.name);
+      });
+    this.queues.set(team.name, run);
+    return run;
+  }
+
+  /**
+   * Run one job for a team, logging (not throwing) failures
+   */
+  async runJob(team, job) {
+    console.log(`\n⏰ ${new Date().toISOString()} Running team ${team.name}${JOB_MODE_LABELS[job.mode] ? ` (${JOB_MODE_LABELS[job.mode]})` : ''}${job.stageName ? ` (stage ${job.stageName})` : ''}`);
+
+    try {
+      await this.runTeam(team, job);
+    } catch (error) {
+      console.error(`❌ Scheduled run failed for team ${team.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Start cron tasks for all valid, enabled teams; returns number of jobs
+   */
+  start() {
+    this.teams.forEach(team => {
+      if (!team.enabled) {
+        console.log(`⏭️  Team ${team.name} is disabled, not scheduled`);
+        return;
+      }
+
+      const errors = validateTeam(team);
+      if (errors.length > 0) {
+        console.error(`❌ Invalid configuration for team ${team.name}: ${errors.join(', ')}`);
+        return;
+      }
+
+      const jobs = this.buildJobs(team);
+      if (jobs.length === 0) {
+        console.warn(`⚠️  Team ${team.name} has no stage times, "schedule", "prompt.postAt" or "reportAt", not scheduled`);
+        return;
+      }
+
+      jobs.forEach(job => {
+        const task = cron.schedule(job.expression, () => this.trigger(team, job), {
+          timezone: team.timezone
+        });
+        this.tasks.push(task);
+        const target = JOB_MODE_LABELS[job.mode] ? ` → ${JOB_MODE_LABELS[job.mode]}` : job.stageName ? ` → stage ${job.stageName}` : '';
+        console.log(`📅 ${team.name}: "${job.expression}" (${team.timezone})${target}`);
+      });
+    });
+
+    return this.tasks.length;
+  }
+
+  /**
+   * Stop all cron tasks
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+}
+
+export default StandupScheduler;
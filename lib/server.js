@@ -0,0 +1,82 @@
+import http from 'http';
+import { verifySlackSignature } from './slack-signature.js';
+
+// Slack payloads are small, refuse anything unreasonably large
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read the raw request body as a string
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON (or empty) response
+ */
+function respond(res, status, body = null) {
+  if (body === null) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create an HTTP server for Slack requests: every POST route is verified
+ * against the signing secret and receives the form-encoded params
+ */
+export function createSlackServer({ signingSecret, routes }) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      respond(res, 200, { ok: true });
+      return;
+    }
+
+    const handler = routes[url.pathname];
+    if (req.method !== 'POST' || !handler) {
+      respond(res, 404, { error: 'not_found' });
+      return;
+    }
+
+    try {
+      const body = await readBody(req);
+
+      const verified = verifySlackSignature({
+        signingSecret,
+        timestamp: req.headers['x-slack-request-timestamp'],
+        signature: req.headers['x-slack-signature'],
+        body
+      });
+      if (!verified) {
+        console.warn(`⚠️  Rejected request to ${url.pathname}: invalid Slack signature`);
+        respond(res, 401, { error: 'invalid_signature' });
+        return;
+      }
+
+      const params = Object.fromEntries(new URLSearchParams(body));
+      const result = await handler(params);
+      respond(res, 200, result ?? null);
+    } catch (error) {
+      console.error(`❌ Error handling ${url.pathname}:`, error.message);
+      respond(res, 500, { error: 'internal_error' });
+    }
+  });
+}
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+// Reject requests older than 5 minutes to prevent replay attacks
+const MAX_AGE_SECONDS = 60 * 5;
+
+/**
+ * Compute the Slack request signature for a raw body
+ */
+export function signSlackRequest(signingSecret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${body}`)
+    .digest('hex');
+  return `v0=${digest}`;
+}
+
+/**
+ * Verify X-Slack-Signature / X-Slack-Request-Timestamp headers against the raw body
+ */
+export function verifySlackSignature({ signingSecret, timestamp, signature, body, now = Date.now() }) {
+  if (!signingSecret || !timestamp || !signature) return false;
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_AGE_SECONDS) return false;
+
+  const expected = Buffer.from(signSlackRequest(signingSecret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
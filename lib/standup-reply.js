@@ -0,0 +1,220 @@
+import { escapeRegExp } from './text.js';
+
+// Sections of a standup reply with the words that start them (matched
+// case-insensitively at the start of a word, so "блокер" also finds
+// "Блокеры:" and "блокеров"). Section labels for messages live in the
+// locale catalogs ("replies.sections")
+export const DEFAULT_REPLY_SECTIONS = {
+  yesterday: {
+    keywords: ['вчера', 'сделал', 'сделано', 'yesterday', 'done', 'did']
+  },
+  today: {
+    keywords: ['сегодня', 'план', 'today', 'plan', 'will do']
+  },
+  blockers: {
+    keywords: ['блокер', 'блок', 'мешает', 'проблем', 'blocker', 'blocked', 'impediment']
+  }
+};
+
+// Blocker answers that mean "no blockers": a negative answer first ("нет,
+// всё ок", "no, all good", "nothing", "отсутствуют", "нет блокеров"), unless
+// a "but" follows ("нет, но жду доступ"). A bare "нет"/"no" must be followed
+// by punctuation or a blocker word, as "нет доступа к S3" is a blocker
+const NO_BLOCKERS = new RegExp(
+  '^(?![\\s\\S]*(?<![\\p{L}])(?:but|но|однако|кроме|except)(?![\\p{L}]))' +
+  '(?:(?:none|nothing|nope|n/a|ничего|никаких|отсутству\\p{L}*|(?:блокеров|проблем) нет)(?![\\p{L}\\p{N}])' +
+  '|(?:нет|нету|no|ok|ок|всё ок|все ок|-+|—)(?=$|\\s*[.,;:!)👍(—–-]|\\s+(?:блок|blocker|problem|проблем|issue|impediment)))',
+  'iu'
+);
+
+// What may precede a section heading on its line: bullets, numbering,
+// quotes, Slack emoji codes and bold/italic markup
+const HEADING_PREFIX = /^[\s>*_•·\-–—#\d.)]*(?::[\w+-]+:\s*)*[*_]*$/;
+
+const NUMBERED_LINE = /^\s*(\d+)[.)]\s*(.*)$/;
+
+const NEGATION_WORDS = 'нет|нету|не|ни|ничего|без|никаких|no|not|nothing|without';
+
+// Negations right before a keyword, at most one word apart ("нет блокеров",
+// "no blockers", "без никаких проблем", "ничего не блокирует", "not blocked")
+export const NEGATION = new RegExp(`(?<![\\p{L}\\p{N}])(?:${NEGATION_WORDS})\\s+(?:[\\p{L}-]+\\s+)?$`, 'iu');
+
+// A negation left dangling at the end of text, cut off from the keyword it
+// negated ("tests\nNo" out of "tests\nNo blockers.")
+export const DANGLING_NEGATION = new RegExp(`(?<![\\p{L}\\p{N}])(?:${NEGATION_WORDS})[\\s.,;:!]*$`, 'iu');
+
+/**
+ * Build reply sections from keyword overrides: a section listed in
+ * "keywords" uses those keywords instead of the default ones
+ */
+export function buildReplySections(keywords = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_REPLY_SECTIONS).map(([name, section]) => [
+    name,
+    { ...section, keywords: keywords[name] ? [].concat(keywords[name]) : section.keywords }
+  ]));
+}
+
+/**
+ * Find every keyword occurrence in the text, noting whether it starts a
+ * line (a heading) or appears inline. A negated inline keyword ("Без
+ * блокеров.", "Not blocked anymore") starts its section at the negation, so
+ * the negation doesn't stay at the end of the previous section, and leaves
+ * that section empty: what follows the keyword doesn't answer it
+ */
+function findSectionMatches(text, sections) {
+  const matches = [];
+
+  Object.entries(sections).forEach(([section, { keywords }]) => {
+    keywords.forEach(keyword => {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}[\\p{L}\\p{N}'’]*`, 'giu');
+      for (const match of text.matchAll(pattern)) {
+        const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+        const heading = HEADING_PREFIX.test(text.slice(lineStart, match.index));
+        const negation = heading ? null : text.slice(lineStart, match.index).match(NEGATION);
+        matches.push({
+          section,
+          heading,
+          // Where the previous section ends and this one's text begins
+          cut: heading ? lineStart : negation ? lineStart + negation.index : match.index,
+          start: match.index + match[0].length,
+          negated: Boolean(negation)
+        });
+      }
+    });
+  });
+
+  return matches.sort((a, b) => a.cut - b.cut || a.start - b.start);
+}
+
+/**
+ * Keep the first match of each section
+ */
+function firstPerSection(matches) {
+  const seen = new Set();
+  return matches.filter(match => {
+    if (seen.has(match.section)) return false;
+    seen.add(match.section);
+    return true;
+  });
+}
+
+/**
+ * Trim markup and punctuation around section text; text of punctuation
+ * only ("." after "No blockers.") is empty
+ */
+function cleanSectionText(text) {
+  const cleaned = text.replace(/^[\s:*_\-–—.,;!?]+/, '').replace(/[\s*_,;]+$/, '');
+  return /[\p{L}\p{N}]/u.test(cleaned) ? cleaned : '';
+}
+
+/**
+ * Read an answer given as a numbered list, one item per section in order
+ */
+function parseNumberedReply(text, sections) {
+  const names = Object.keys(sections);
+  const result = {};
+  let current = null;
+
+  text.split('\n').forEach(line => {
+    const numbered = line.match(NUMBERED_LINE);
+    if (numbered && names[Number(numbered[1]) - 1]) {
+      current = names[Number(numbered[1]) - 1];
+      result[current] = numbered[2];
+    } else if (current) {
+      result[current] += `\n${line}`;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Split a reply into raw section texts, noting the sections that have a
+ * heading or numbered item of their own
+ */
+function splitSections(value, sections) {
+  const matches = findSectionMatches(value, sections);
+  const headings = firstPerSection(matches.filter(match => match.heading));
+  const numbered = parseNumberedReply(value, sections);
+  const inline = firstPerSection(matches);
+
+  const numberedCount = Object.keys(numbered).length;
+  if (numberedCount > headings.length && numberedCount >= inline.length) {
+    return { texts: numbered, headed: new Set(Object.keys(numbered)) };
+  }
+
+  const starts = headings.length >= inline.length ? headings : inline;
+  const texts = {};
+  const headed = new Set();
+
+  starts.forEach((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].cut : value.length;
+    texts[start.section] = start.negated ? '' : value.slice(start.start, Math.max(end, start.start));
+    if (start.heading) headed.add(start.section);
+  });
+  matches.forEach(match => {
+    if (!(match.section in texts)) texts[match.section] = '';
+  });
+
+  return { texts, headed };
+}
+
+/**
+ * Split a standup reply into its sections, e.g. { yesterday, today, blockers }.
+ * Headings at the start of a line ("Вчера:", "*Today*", "3. Blockers") are
+ * used first, then a plain numbered list read in section order, then the
+ * first inline mention of each section's keywords, whichever finds the most
+ * sections. A section mentioned only inline, or negated ("без блокеров"),
+ * is present with empty text
+ */
+export function parseStandupReply(text, sections = DEFAULT_REPLY_SECTIONS) {
+  const { texts } = splitSections(String(text || ''), sections);
+  return Object.fromEntries(Object.entries(texts).map(([name, value]) => [name, cleanSectionText(value)]));
+}
+
+/**
+ * Check if a "Blockers" answer means there are none ("нет", "no, all good",
+ * "nothing", "-")
+ */
+export function isNoBlockersAnswer(text) {
+  return NO_BLOCKERS.test(String(text).trim());
+}
+
+/**
+ * Return the required sections a reply doesn't answer: not mentioned at all,
+ * or left empty under their heading ("вчера: -", a pasted blank template).
+ * A dash is a fine "Blockers" answer
+ */
+export function findMissingSections(text, required, sections = DEFAULT_REPLY_SECTIONS) {
+  const { texts, headed } = splitSections(String(text || ''), sections);
+  const isEmpty = name => cleanSectionText(texts[name]) === '' &&
+    !(name === 'blockers' && isNoBlockersAnswer(texts[name].replace(/^[\s:*_]+/, '')));
+
+  return required.filter(name => !(name in texts) || (headed.has(name) && isEmpty(name)));
+}
+
+/**
+ * Return list of problems with a team's "replyValidation" settings
+ */
+export function validateReplyValidation(replyValidation) {
+  const errors = [];
+  const names = Object.keys(DEFAULT_REPLY_SECTIONS);
+
+  if (!Array.isArray(replyValidation.required) || replyValidation.required.length === 0) {
+    errors.push('"replyValidation.required" must be a non-empty array');
+  } else {
+    replyValidation.required
+      .filter(name => !names.includes(name))
+      .forEach(name => errors.push(`unknown reply section "${name}" (expected ${names.join(', ')})`));
+  }
+  Object.keys(replyValidation.keywords || {})
+    .filter(name => !names.includes(name))
+    .forEach(name => errors.push(`unknown reply section "${name}" in "replyValidation.keywords"`));
+  Object.entries(replyValidation.sections).forEach(([name, { keywords }]) => {
+    if (keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+      errors.push(`reply section "${name}" needs non-empty keywords`);
+    }
+  });
+
+  return errors;
+}
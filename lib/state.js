@@ -0,0 +1,168 @@
+import JsonStore from './json-store.js';
+
+const DEFAULT_STATE_FILE = '.standup-state.json';
+
+// Standup entries older than this are dropped on save
+const RETENTION_DAYS = 30;
+
+/**
+ * Local JSON store of reminders already sent for each standup thread,
+ * and of standup prompts the bot posted itself
+ */
+class ReminderState extends JsonStore {
+  constructor(filePath = process.env.STATE_FILE || DEFAULT_STATE_FILE, { readOnly = false } = {}) {
+    super(filePath, { readOnly, defaults: { standups: {}, prompts: {} } });
+  }
+
+  /**
+   * Write state to disk, dropping entries past retention
+   */
+  save() {
+    if (this.readOnly) return;
+
+    this.prune();
+    super.save();
+  }
+
+  /**
+   * Remove standup entries older than the retention period
+   */
+  prune(now = Date.now()) {
+    const cutoffSeconds = now / 1000 - RETENTION_DAYS * 86400;
+
+    Object.entries(this.data.standups).forEach(([key, standup]) => {
+      if (Number(standup.ts) < cutoffSeconds) {
+        delete this.data.standups[key];
+      }
+    });
+
+    Object.entries(this.data.prompts).forEach(([key, prompt]) => {
+      if (Number(prompt.ts) < cutoffSeconds) {
+        delete this.data.prompts[key];
+      }
+    });
+  }
+
+  /**
+   * Get ts of the standup prompt the bot posted itself on a date, or null
+   */
+  getPostedPrompt(channel, dateStr) {
+    return this.data.prompts[`${channel}:${dateStr}`]?.ts || null;
+  }
+
+  /**
+   * Record the standup prompt the bot posted itself
+   */
+  markPromptPosted(channel, dateStr, ts) {
+    this.data.prompts[`${channel}:${dateStr}`] = { channel, date: dateStr, ts, postedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  /**
+   * Get (or create) the state entry for a standup thread, keyed by channel + ts
+   */
+  getStandup(channel, ts) {
+    const key = `${channel}:${ts}`;
+    if (!this.data.standups[key]) {
+      this.data.standups[key] = { channel, ts, stages: {}, allDonePostedAt: null };
+    }
+    return this.data.standups[key];
+  }
+
+  /**
+   * Get stage names each user was reminded at, keyed by user ID
+   */
+  getRemindersByUser(channel, ts) {
+    const byUser = {};
+    Object.entries(this.getStandup(channel, ts).stages).forEach(([stageName, users]) => {
+      Object.keys(users).forEach(userId => {
+        (byUser[userId] = byUser[userId] || []).push(stageName);
+      });
+    });
+    return byUser;
+  }
+
+  /**
+   * Check if the "everyone replied" message was already posted
+   */
+  isAllDonePosted(channel, ts) {
+    return Boolean(this.getStandup(channel, ts).allDonePostedAt);
+  }
+
+  /**
+   * Record that the "everyone replied" message was posted
+   */
+  markAllDonePosted(channel, ts) {
+    this.getStandup(channel, ts).allDonePostedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Check if the post-deadline notice was already posted
+   */
+  isDeadlineNoticePosted(channel, ts) {
+    return Boolean(this.getStandup(channel, ts).deadlineNoticePostedAt);
+  }
+
+  /**
+   * Record that the post-deadline notice was posted
+   */
+  markDeadlineNoticePosted(channel, ts) {
+    this.getStandup(channel, ts).deadlineNoticePostedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Check if the reply digest was already posted
+   */
+  isDigestPosted(channel, ts) {
+    return Boolean(this.getStandup(channel, ts).digestPostedAt);
+  }
+
+  /**
+   * Record that the reply digest was posted
+   */
+  markDigestPosted(channel, ts) {
+    this.getStandup(channel, ts).digestPostedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Check if the "Blockers today" notice was already posted
+   */
+  isBlockersPosted(channel, ts) {
+    return Boolean(this.getStandup(channel, ts).blockersPostedAt);
+  }
+
+  /**
+   * Record that the "Blockers today" notice was posted
+   */
+  markBlockersPosted(channel, ts) {
+    this.getStandup(channel, ts).blockersPostedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Get IDs of users already reminded at the given stage
+   */
+  getRemindedUsers(channel, ts, stageName) {
+    const stage = this.getStandup(channel, ts).stages[stageName] || {};
+    return new Set(Object.keys(stage));
+  }
+
+  /**
+   * Record that users were reminded at the given stage
+   */
+  markReminded(channel, ts, stageName, userIds) {
+    const standup = this.getStandup(channel, ts);
+    const stage = standup.stages[stageName] || (standup.stages[stageName] = {});
+    const now = new Date().toISOString();
+
+    userIds.forEach(userId => {
+      stage[userId] = now;
+    });
+    this.save();
+  }
+}
+
+export default ReminderState;
@@ -0,0 +1,158 @@
+// Columns for table and CSV output
+export const PEOPLE_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'teams', label: 'Teams' },
+  { key: 'expectedDays', label: 'Days' },
+  { key: 'repliedDays', label: 'Replied' },
+  { key: 'completionRate', label: 'Rate %' },
+  { key: 'lateDays', label: 'Late' },
+  { key: 'remindedDays', label: 'Reminded' },
+  { key: 'leaveDays', label: 'Leave' },
+  { key: 'avgLatencyMinutes', label: 'Avg min' },
+  { key: 'currentStreak', label: 'Streak' },
+  { key: 'longestStreak', label: 'Best' }
+];
+
+export const TEAM_COLUMNS = [
+  { key: 'team', label: 'Team' },
+  { key: 'days', label: 'Days' },
+  { key: 'expected', label: 'Expected' },
+  { key: 'replied', label: 'Replied' },
+  { key: 'completionRate', label: 'Rate %' },
+  { key: 'late', label: 'Late' },
+  { key: 'avgLatencyMinutes', label: 'Avg min' }
+];
+
+/**
+ * Average of numbers, or null for an empty list
+ */
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Completion rate in percent, or null if nothing was expected
+ */
+function rate(replied, expected) {
+  return expected === 0 ? null : Math.round(replied / expected * 100);
+}
+
+/**
+ * Current and longest run of consecutive replied days (days on leave don't break a streak)
+ */
+function computeStreaks(entries) {
+  let current = 0;
+  let longest = 0;
+
+  entries.forEach(entry => {
+    current = entry.replied ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+
+  return { current, longest };
+}
+
+/**
+ * Compute per-person and per-team participation stats from history days
+ */
+export function computeStats(days) {
+  const people = new Map();
+  const teams = new Map();
+
+  days.forEach(day => {
+    const team = teams.get(day.team) || { team: day.team, days: 0, expected: 0, replied: 0, late: 0, latencies: [] };
+    team.days++;
+
+    Object.entries(day.users).forEach(([userId, user]) => {
+      const person = people.get(userId) || { userId, name: user.name, teams: new Set(), entries: [], leaveDays: 0 };
+      person.name = user.name;
+      person.teams.add(day.team);
+
+      if (user.leave) {
+        person.leaveDays++;
+      } else {
+        person.entries.push({ date: day.date, replied: user.replied, latencySeconds: user.latencySeconds, late: Boolean(user.late), reminded: user.reminded.length > 0 });
+        team.expected++;
+        if (user.replied) {
+          team.replied++;
+          if (user.late) team.late++;
+          if (user.latencySeconds !== null) team.latencies.push(user.latencySeconds);
+        }
+      }
+
+      people.set(userId, person);
+    });
+
+    teams.set(day.team, team);
+  });
+
+  const peopleStats = [...people.values()].map(person => {
+    const entries = person.entries.sort((a, b) => a.date.localeCompare(b.date));
+    const replied = entries.filter(entry => entry.replied);
+    const latency = average(replied.filter(entry => entry.latencySeconds !== null).map(entry => entry.latencySeconds));
+    const streaks = computeStreaks(entries);
+
+    return {
+      userId: person.userId,
+      name: person.name,
+      teams: [...person.teams].join(', '),
+      expectedDays: entries.length,
+      repliedDays: replied.length,
+      lateDays: entries.filter(entry => entry.late).length,
+      remindedDays: entries.filter(entry => entry.reminded).length,
+      leaveDays: person.leaveDays,
+      completionRate: rate(replied.length, entries.length),
+      avgLatencyMinutes: latency === null ? null : Math.round(latency / 60),
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest
+    };
+  }).sort((a, b) => (b.completionRate ?? -1) - (a.completionRate ?? -1) || a.name.localeCompare(b.name));
+
+  const teamStats = [...teams.values()].map(team => {
+    const latency = average(team.latencies);
+    return {
+      team: team.team,
+      days: team.days,
+      expected: team.expected,
+      replied: team.replied,
+      completionRate: rate(team.replied, team.expected),
+      late: team.late,
+      avgLatencyMinutes: latency === null ? null : Math.round(latency / 60)
+    };
+  }).sort((a, b) => a.team.localeCompare(b.team));
+
+  return { people: peopleStats, teams: teamStats };
+}
+
+/**
+ * Render rows as an aligned plain-text table
+ */
+export function formatTable(columns, rows) {
+  const cell = value => (value === null || value === undefined ? '—' : String(value));
+  const widths = columns.map(column =>
+    Math.max(column.label.length, ...rows.map(row => cell(row[column.key]).length))
+  );
+
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => cell(row[column.key]))))
+  ].join('\n');
+}
+
+/**
+ * Render rows as CSV
+ */
+export function formatCsv(columns, rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(column => escape(column.key)).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+  ].join('\n');
+}
@@ -0,0 +1,14 @@
+/**
+ * Escape a string for use inside a regular expression
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Shorten text to one line of at most maxLength characters
+ */
+export function condense(text, maxLength) {
+  const line = text.replace(/\s*\n\s*/g, ' · ').replace(/\s+/g, ' ').trim();
+  return line.length <= maxLength ? line : `${line.slice(0, maxLength - 1)}…`;
+}
@@ -0,0 +1,114 @@
+/**
+ * Parse "HH:MM" time of day into minutes since midnight (null if invalid)
+ */
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get calendar parts (year, month, day, hour, minute) of a date in a timezone
+ * (server local time when no timezone is given)
+ */
+export function getZonedParts(date = new Date(), timeZone = undefined) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute')
+  };
+}
+
+/**
+ * Get "YYYY-MM-DD" date string of a date in a timezone
+ */
+export function getDateString(date = new Date(), timeZone = undefined) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Check if two dates fall on the same calendar day in a timezone
+ */
+export function isSameDay(a, b, timeZone = undefined) {
+  return getDateString(a, timeZone) === getDateString(b, timeZone);
+}
+
+/**
+ * Get the instant the calendar day of a date starts in a timezone
+ */
+export function getStartOfDay(date = new Date(), timeZone = undefined) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const midnight = Date.UTC(year, month - 1, day);
+
+  // Shift UTC midnight by the zone's offset; repeat once to settle around DST changes
+  let start = midnight;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(start), timeZone);
+    start -= Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - midnight;
+  }
+
+  return new Date(start);
+}
+
+/**
+ * Get minutes since midnight for a date in a timezone
+ */
+export function minutesSinceMidnight(date = new Date(), timeZone = undefined) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Number of whole days from one "YYYY-MM-DD" date string to another
+ */
+export function daysBetween(fromDateStr, toDateStr) {
+  return Math.round((Date.parse(`${toDateStr}T00:00:00Z`) - Date.parse(`${fromDateStr}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Shift a "YYYY-MM-DD" date string by a number of days
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check if a string is a valid IANA timezone name
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a date as "HH:MM" in a timezone
+ */
+export function formatTime(date, timeZone = undefined) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
@@ -0,0 +1,57 @@
+// Columns of the Slack → Timetastic match audit table
+export const AUDIT_COLUMNS = [
+  { key: 'slackId', label: 'Slack ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'teams', label: 'Teams' },
+  { key: 'match', label: 'Match' },
+  { key: 'timetastic', label: 'Timetastic user(s)' }
+];
+
+// Order of match results in the report: problems first
+const MATCH_ORDER = ['missing', 'ambiguous', 'mapping_unknown', 'fuzzy', 'name', 'email', 'mapping'];
+
+/**
+ * Classify a match result of TimetasticAPI.matchUser()
+ */
+function classifyMatch({ method, candidates }) {
+  if (method === 'mapping') return candidates.length === 0 ? 'mapping_unknown' : 'mapping';
+  if (candidates.length > 1) return 'ambiguous';
+  return method;
+}
+
+/**
+ * Match every Slack member ({ id, name, email, teams }) against Timetastic
+ * users and return audit rows plus counts per match result. Throws when
+ * the Timetastic users can't be fetched, rather than report everyone missing
+ */
+export async function auditTimetasticMatches(members, timetastic) {
+  const users = await timetastic.getUsers({ throwOnError: true });
+
+  const rows = members.map(member => {
+    const result = timetastic.matchUser({ email: member.email, name: member.name, slackUserId: member.id }, users);
+    const match = classifyMatch(result);
+    const timetasticUsers = match === 'mapping_unknown' ?
+      `ID ${result.mappedId} (not found)` :
+      result.candidates.map(u => `${u.id} ${u.firstname} ${u.surname}`).join('; ');
+
+    return {
+      slackId: member.id,
+      name: member.name,
+      email: member.email,
+      teams: member.teams.join(', '),
+      match,
+      timetastic: timetasticUsers || null
+    };
+  });
+
+  rows.sort((a, b) =>
+    MATCH_ORDER.indexOf(a.match) - MATCH_ORDER.indexOf(b.match) || a.name.localeCompare(b.name));
+
+  const counts = Object.fromEntries(MATCH_ORDER.map(match => [match, 0]));
+  rows.forEach(row => {
+    counts[row.match]++;
+  });
+
+  return { rows, counts, timetasticUsers: users.length };
+}
@@ -1,23 +1,114 @@
-import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
 import NodeCache from 'node-cache';
+import { getDateString } from './time.js';
+import LeaveProvider from './leave/provider.js';
 
 // Cache for 1 hour to avoid hitting rate limits
 const cache = new NodeCache({ stdTTL: 3600 });
 
-class TimetasticAPI {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseURL = 'https://app.timetastic.co.uk/api';
-    this.axiosInstance = axios.create({
-      baseURL: this.baseURL,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
+const DEFAULT_BASE_URL = 'https://app.timetastic.co.uk/api';
+
+// Timetastic allows 60 requests per minute; keep a small buffer
+const REQUESTS_PER_MINUTE = 55;
+
+// Stop following pages after this many, in case the API keeps returning a next page
+const MAX_PAGES = 100;
+
+const MAX_RETRY_DELAY_MS = 60000;
+
+const DEFAULT_MAPPING_FILE = 'timetastic-mapping.json';
+
+/**
+ * Default transport: a plain Node http(s) GET.
+ * Transports take { method, url, headers, timeoutMs } and resolve to
+ * { status, headers, body } (body as text), rejecting only on network errors
+ */
+export function httpTransport({ method = 'GET', url, headers, timeoutMs }) {
+  const client = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers, timeout: timeoutMs }, (res) => {
+      let body = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
     });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request is worth retrying (rate limited or server error)
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Load the Slack user ID → Timetastic user ID mapping file
+ * (TIMETASTIC_MAPPING_FILE, or timetastic-mapping.json if present)
+ */
+export function loadTimetasticMapping(env = process.env) {
+  const filePath = path.resolve(env.TIMETASTIC_MAPPING_FILE || DEFAULT_MAPPING_FILE);
+  if (!env.TIMETASTIC_MAPPING_FILE && !fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read Timetastic mapping ${filePath}: ${error.message}`);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TimetasticAPI extends LeaveProvider {
+  constructor(apiKey, {
+    baseURL = process.env.TIMETASTIC_BASE_URL || DEFAULT_BASE_URL,
+    transport = httpTransport,
+    timeoutMs = 10000,
+    maxRetries = 4,
+    retryDelayMs = 1000,
+    mapping = {}
+  } = {}) {
+    super('timetastic');
+    this.apiKey = apiKey;
+    this.baseURL = baseURL.replace(/\/$/, '');
+    this.transport = transport;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    // Explicit Slack user ID → Timetastic user ID overrides
+    this.mapping = mapping;
     
-    // Rate limiting: max 60 requests per minute
+    // Rate limiting: requests per minute
     this.requestCount = 0;
     this.requestResetTime = Date.now() + 60000;
   }
@@ -32,10 +123,10 @@ class TimetasticAPI {
       this.requestResetTime = now + 60000;
     }
     
-    if (this.requestCount >= 55) { // Leave buffer of 5 requests
+    if (this.requestCount >= REQUESTS_PER_MINUTE) {
       const waitTime = this.requestResetTime - now;
-      console.log(`⏳ Rate limit approaching, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+      console.log(`⏳ Rate limit reached, waiting ${Math.ceil(waitTime / 1000)}s...`);
+      await sleep(waitTime);
       this.requestCount = 0;
       this.requestResetTime = Date.now() + 60000;
     }
@@ -44,9 +135,101 @@ class TimetasticAPI {
   }
 
   /**
-   * Get all users from Timetastic
+   * Build the full URL for an API path (or an absolute next-page link)
    */
-  async getUsers() {
+  buildUrl(path, params = {}) {
+    const url = new URL(/^https?:/.test(path) ? path : `${this.baseURL}${path}`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Make a GET request to the Timetastic API, retrying with exponential
+   * backoff on network errors, 429 and 5xx responses (honoring Retry-After)
+   */
+  async makeRequest(path, params = {}) {
+    const url = this.buildUrl(path, params);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.checkRateLimit();
+
+      let response = null;
+      let error = null;
+      try {
+        response = await this.transport({
+          method: 'GET',
+          url,
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Accept': 'application/json'
+          },
+          timeoutMs: this.timeoutMs
+        });
+      } catch (networkError) {
+        error = networkError;
+      }
+
+      if (response && response.status === 200) {
+        try {
+          return JSON.parse(response.body);
+        } catch (e) {
+          throw new Error(`Failed to parse JSON: ${e.message}`);
+        }
+      }
+
+      if (response) {
+        error = new Error(`API returned status ${response.status}: ${String(response.body).substring(0, 200)}`);
+        error.status = response.status;
+        if (!isRetryableStatus(response.status)) throw error;
+      }
+
+      if (attempt >= this.maxRetries) throw error;
+
+      const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+      const delay = Math.min(retryAfter ?? this.retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      console.log(`⏳ Timetastic request failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${this.maxRetries})...`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint. Pages are followed through
+   * "nextPageLink", or by PageNumber while fewer than "totalRecords" were
+   * read; plain array responses are a single page
+   */
+  async getAllPages(path, params, itemsKey) {
+    const items = [];
+    let next = null;
+
+    for (let pageNumber = 1; pageNumber <= MAX_PAGES; pageNumber++) {
+      const response = next ?
+        await this.makeRequest(next) :
+        await this.makeRequest(path, pageNumber === 1 ? params : { ...params, PageNumber: pageNumber });
+
+      if (Array.isArray(response)) {
+        items.push(...response);
+        return items;
+      }
+
+      const pageItems = response[itemsKey] || [];
+      items.push(...pageItems);
+
+      if (response.nextPageLink) {
+        next = response.nextPageLink;
+      } else if (!(pageItems.length > 0 && response.totalRecords > items.length)) {
+        return items;
+      }
+    }
+
+    console.warn(`⚠️  Stopped reading ${path} after ${MAX_PAGES} pages`);
+    return items;
+  }
+
+  /**
+   * Get all users from Timetastic. A failed request gives an empty list
+   * (leave checks go on without it) unless throwOnError is set
+   */
+  async getUsers({ throwOnError = false } = {}) {
     const cacheKey = 'timetastic_users';
     const cached = cache.get(cacheKey);
     if (cached) {
@@ -55,47 +238,33 @@ class TimetasticAPI {
     }
 
     try {
-      await this.checkRateLimit();
-      const response = await this.axiosInstance.get('/users');
-      const users = response.data;
+      const users = await this.getAllPages('/users', {}, 'users');
       cache.set(cacheKey, users);
       console.log(`✅ Fetched ${users.length} users from Timetastic`);
       return users;
     } catch (error) {
       console.error('❌ Error fetching Timetastic users:', error.message);
+      if (throwOnError) throw error;
       return [];
     }
   }
 
   /**
-   * Get absences for today
+   * Get absences for today ("YYYY-MM-DD" in the team's timezone)
    */
-  async getTodayAbsences() {
-    const today = new Date();
-    const dateStr = today.toISOString().split('T')[0];
+  async getTodayAbsences(dateStr = getDateString()) {
     const cacheKey = `absences_${dateStr}`;
     
     const cached = cache.get(cacheKey);
     if (cached) {
-      console.log('📦 Using cached absences for today');
+      console.log(`📦 Using cached absences for ${dateStr}`);
       return cached;
     }
 
     try {
-      await this.checkRateLimit();
-      
-      // Timetastic API expects dates in YYYY-MM-DD format
-      const response = await this.axiosInstance.get('/holidays', {
-        params: {
-          Start: dateStr,
-          End: dateStr
-        }
-      });
-      
-      // Timetastic returns data in 'holidays' property
-      const absences = response.data?.holidays || response.data || [];
+      const absences = await this.getAllPages('/holidays', { Start: dateStr, End: dateStr }, 'holidays');
       cache.set(cacheKey, absences, 1800); // Cache for 30 minutes for absences
-      console.log(`✅ Found ${absences.length} absences for today`);
+      console.log(`✅ Found ${absences.length} absences for ${dateStr}`);
       return absences;
     } catch (error) {
       console.error('❌ Error fetching absences:', error.message);
@@ -104,100 +273,100 @@ class TimetasticAPI {
   }
 
   /**
-   * Check if user is working today based on their email
+   * Match a Slack identity against Timetastic users.
+   * Returns { method, candidates }: method is "mapping" (explicit mapping
+   * file entry), "email", "name", "fuzzy" (similar surname) or "missing";
+   * more than one candidate means the match is ambiguous
    */
-  async isUserWorking(userEmail) {
-    if (!userEmail) return { working: true, reason: 'no_email' };
+  matchUser({ email: userEmail, name: userName, slackUserId }, users) {
+    // An explicit mapping always wins
+    if (slackUserId && this.mapping[slackUserId] !== undefined) {
+      const mappedId = this.mapping[slackUserId];
+      // Note: using == for type coercion (ids may be numbers or strings)
+      return { method: 'mapping', mappedId, candidates: users.filter(u => u.id == mappedId) };
+    }
 
-    try {
-      // Get all users to map email to user ID
-      const users = await this.getUsers();
-      const user = users.find(u => 
+    // Try to find user by email first
+    if (userEmail) {
+      const byEmail = users.filter(u => 
         u.email?.toLowerCase() === userEmail.toLowerCase()
       );
+      if (byEmail.length > 0) return { method: 'email', candidates: byEmail };
+    }
+    
+    // If not found by email, try by name (with fuzzy matching for typos)
+    if (userName) {
+      const nameParts = userName.toLowerCase().split(' ');
       
-      if (!user) {
-        console.log(`⚠️  User not found in Timetastic: ${userEmail}`);
-        return { working: true, reason: 'not_in_timetastic' };
-      }
-
-      // Get today's absences
-      const absences = await this.getTodayAbsences();
+      // Try exact match first
+      const byName = users.filter(u => {
+        const fullName = `${u.firstname} ${u.surname}`.toLowerCase();
+        return nameParts.every(part => fullName.includes(part));
+      });
+      // Prefer an exact full name when several names contain the parts (Ben Smith vs Ben Smithson)
+      const exactName = byName.filter(u => `${u.firstname} ${u.surname}`.toLowerCase() === userName.toLowerCase());
+      if (exactName.length === 1) return { method: 'name', candidates: exactName };
+      if (byName.length > 0) return { method: 'name', candidates: byName };
       
-      if (absences === null) {
-        // API failed, default to working
-        return { working: true, reason: 'api_error' };
-      }
-
-      // Find if user has absence today
-      const userAbsence = absences.find(a => 
-        a.userId === user.id || 
-        a.userName?.toLowerCase() === userEmail.toLowerCase()
-      );
-
-      if (!userAbsence) {
-        return { working: true, reason: 'no_absence' };
-      }
-
-      // Check leave type - these types mean user is NOT working
-      const nonWorkingTypes = [
-        'Holiday',
-        'Sick Leave', 
-        'Day off'
-      ];
-
-      // Check if the leave type indicates non-working
-      const leaveTypeName = userAbsence.leaveTypeName || userAbsence.leaveType || '';
-      const isNonWorking = nonWorkingTypes.some(type => 
-        leaveTypeName.toLowerCase().includes(type.toLowerCase())
-      );
-
-      if (isNonWorking) {
-        return { 
-          working: false, 
-          reason: 'on_leave',
-          leaveType: leaveTypeName,
-          userName: user.firstname + ' ' + user.surname
-        };
-      }
-
-      // User has some other type of leave (Remote, Office, etc.) - they're working
-      return { 
-        working: true, 
-        reason: 'working_remotely',
-        leaveType: leaveTypeName
-      };
-
-    } catch (error) {
-      console.error(`❌ Error checking user status for ${userEmail}:`, error.message);
-      // On error, default to working (fail open)
-      return { working: true, reason: 'error' };
+      // If not found, try fuzzy match (for Bogatyrkova vs Bogatyreva)
+      const byFuzzyName = users.filter(u => {
+        const firstName = u.firstname?.toLowerCase() || '';
+        const lastName = u.surname?.toLowerCase() || '';
+        const userFirstName = nameParts[0] || '';
+        const userLastName = nameParts[1] || '';
+        
+        // Check if first name matches and last name is similar
+        return firstName.includes(userFirstName) && 
+               (lastName.includes(userLastName.substring(0, 6)) || // Match first 6 chars of last name
+                userLastName.includes(lastName.substring(0, 6)));
+      });
+      if (byFuzzyName.length > 0) return { method: 'fuzzy', candidates: byFuzzyName };
     }
+
+    return { method: 'missing', candidates: [] };
   }
 
   /**
-   * Get leave summary for logging
+   * Find Timetastic user via the mapping file, by email, or by name
+   * (with fuzzy matching for typos). Ambiguous name matches are not used
    */
-  async getLeaveSummary() {
-    try {
-      const absences = await this.getTodayAbsences();
-      if (!absences || !Array.isArray(absences)) return null;
+  async findUser(identity) {
+    // Get all users to map email/name to user ID
+    const users = await this.getUsers();
+    const label = identity.email || identity.name;
+    const { method, mappedId, candidates } = this.matchUser(identity, users);
 
-      const summary = {
-        total: absences.length,
-        byType: {}
-      };
+    if (method === 'mapping' && candidates.length === 0) {
+      // Users list may have failed to load; absences are still matched by ID
+      console.log(`⚠️  Mapped Timetastic ID ${mappedId} for ${label} not found in users list`);
+      return { id: mappedId, name: identity.name };
+    }
 
-      absences.forEach(absence => {
-        const type = absence.leaveTypeName || absence.leaveType || 'Unknown';
-        summary.byType[type] = (summary.byType[type] || 0) + 1;
-      });
+    if (candidates.length > 1) {
+      const names = candidates.map(u => `${u.firstname} ${u.surname}`).join(', ');
+      console.log(`⚠️  Ambiguous Timetastic match for ${label} by ${method}: ${names} (add it to the mapping file)`);
+      return null;
+    }
 
-      return summary;
-    } catch (error) {
-      console.error('❌ Error getting leave summary:', error.message);
+    const [user] = candidates;
+    if (!user) {
+      console.log(`⚠️  User not found in Timetastic: ${label}`);
       return null;
     }
+
+    console.log(`   Found user by ${method}: ${user.firstname} ${user.surname}${method === 'email' ? '' : ` (for ${label})`}`);
+    return { id: user.id, name: user.firstname + ' ' + user.surname };
+  }
+
+  async getAbsences(dateStr) {
+    return this.getTodayAbsences(dateStr);
+  }
+
+  /**
+   * Check if user is working today based on their email or name
+   */
+  async isUserWorking(userEmail, userName = null, dateStr = getDateString()) {
+    return this.getUserStatus({ email: userEmail, name: userName }, dateStr);
   }
 }
 
@@ -0,0 +1,102 @@
+import { loadTeams } from '../lib/config.js';
+import { createContext, createReminder } from '../lib/runner.js';
+import { auditTimetasticMatches, AUDIT_COLUMNS } from '../lib/timetastic-audit.js';
+import { formatTable } from '../lib/stats.js';
+import { getOption } from '../lib/cli.js';
+
+// Lists how every user group member maps to a Timetastic user, e.g.
+//   node scripts/audit-timetastic.js [--team backend] [--format table|json]
+const teamName = getOption('team') || null;
+const format = getOption('format') || 'table';
+
+const MATCH_LABELS = {
+  mapping: '📌 Mapping file',
+  email: '📧 Email',
+  name: '👤 Name',
+  fuzzy: '🔍 Fuzzy name',
+  ambiguous: '⚠️  Ambiguous',
+  mapping_unknown: '❌ Mapped ID not found',
+  missing: '❌ Missing'
+};
+
+/**
+ * Collect members of the selected teams' user groups with their Slack
+ * names and emails; people in several teams are listed once
+ */
+async function collectMembers(teams, context) {
+  const members = new Map();
+
+  for (const team of teams) {
+    const reminder = createReminder(team, context, { dryRun: true });
+    const { emailMap, nameMap } = await reminder.getSlackUsersWithEmails();
+    const groupMembers = await reminder.getUserGroupMembers();
+
+    groupMembers.forEach(userId => {
+      const member = members.get(userId) ||
+        { id: userId, name: nameMap[userId] || userId, email: emailMap[userId] || null, teams: [] };
+      member.teams.push(team.name);
+      members.set(userId, member);
+    });
+  }
+
+  return [...members.values()];
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  if (!['table', 'json'].includes(format)) {
+    console.error(`❌ Unknown format "${format}" (expected table or json)`);
+    process.exit(1);
+  }
+
+  let teams;
+  let context;
+  try {
+    teams = loadTeams().filter(team => team.enabled && (!teamName || team.name === teamName));
+    context = createContext({ dryRun: true });
+  } catch (error) {
+    console.error('❌ Fatal error loading configuration:', error.message);
+    process.exit(1);
+  }
+
+  if (teams.length === 0) {
+    console.error(`❌ No enabled team${teamName ? ` named "${teamName}"` : 's'} found`);
+    process.exit(1);
+  }
+
+  const members = await collectMembers(teams, context);
+  let audit;
+  try {
+    audit = await auditTimetasticMatches(members, context.timetastic);
+  } catch (error) {
+    console.error('❌ Could not fetch Timetastic users, audit aborted:', error.message);
+    process.exit(1);
+  }
+  const { rows, counts, timetasticUsers } = audit;
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ counts, rows }, null, 2));
+    return;
+  }
+
+  console.log(`\n🔎 Slack → Timetastic matches: ${rows.length} group members, ${timetasticUsers} Timetastic users\n`);
+  console.log(formatTable(AUDIT_COLUMNS, rows));
+  console.log('\n📊 Summary:');
+  Object.entries(counts).forEach(([match, count]) => {
+    if (count > 0) console.log(`   ${MATCH_LABELS[match]}: ${count}`);
+  });
+
+  if (counts.fuzzy + counts.ambiguous + counts.mapping_unknown + counts.missing > 0) {
+    console.log('\nℹ️  Add { "<Slack user ID>": <Timetastic user ID> } entries to the mapping file');
+    console.log('   (TIMETASTIC_MAPPING_FILE, default timetastic-mapping.json) to fix fuzzy, ambiguous and missing matches');
+  }
+}
+
+if (!process.env.SLACK_BOT_TOKEN || !process.env.TIMETASTIC_API_KEY) {
+  console.error('❌ SLACK_BOT_TOKEN and TIMETASTIC_API_KEY are required for the audit');
+  process.exit(1);
+}
+
+await main();
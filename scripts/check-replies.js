@@ -0,0 +1,83 @@
+import { detectBlocker } from '../lib/blockers.js';
+import RuleDigestExtractor from '../lib/digest/rules.js';
+import { findMissingSections } from '../lib/standup-reply.js';
+
+// Behavior checks of standup reply parsing on real-life phrases, e.g.
+//   npm run check:replies
+
+// Replies and the blocker expected to be sent to the lead (null: none)
+const BLOCKER_CASES = [
+  ['Блокеры: нет, всё ок', null],
+  ['Blockers: no, all good', null],
+  ['Blockers: nothing', null],
+  ['Блокеры: отсутствуют', null],
+  ['Ничего не блокирует', null],
+  ['Not blocked anymore, CI fixed', null],
+  ['Today: tests\nNo blockers.', null],
+  ['Вчера X. Сегодня Y. Без блокеров.', null],
+  ['Блокеры: -', null],
+  ['Блокеры: нет доступа к S3', 'нет доступа к S3'],
+  ['Blocked by CI', 'Blocked by CI'],
+  ['Блокеры: нет, но жду доступ от админов', 'но жду доступ от админов']
+];
+
+// Replies and what the reply digest shows for them
+const DIGEST_CASES = [
+  ['Сегодня: релиз\nНичего не блокирует', { today: 'релиз', blockers: null }],
+  ['Today: tests\nNo blockers.', { today: 'tests', blockers: null }],
+  ['Today: deploy\nBlocked by CI', { today: 'deploy', blockers: 'Blocked by CI' }],
+  ['Сегодня: релиз\nБлокеры: жду ревью', { today: 'релиз', blockers: 'жду ревью' }],
+  ['Сегодня: релиз\nМешает баг в CI', { today: 'релиз', blockers: 'Мешает баг в CI' }],
+  ['Today: deploy. Not blocked anymore, CI fixed', { today: 'deploy.', blockers: null }]
+];
+
+// Replies and the standup questions they leave unanswered
+const MISSING_CASES = [
+  ['вчера: -\nсегодня: -\nблокеры: -', ['yesterday', 'today']],
+  ['Вчера:\nСегодня:\nБлокеры:', ['yesterday', 'today', 'blockers']],
+  ['+1', ['yesterday', 'today', 'blockers']],
+  ['Вчера: отчёт\nСегодня: релиз\nБлокеры: -', []],
+  ['вчера доделал отчёт, сегодня релиз, без блокеров', []]
+];
+
+/**
+ * Run the checks and return the number of failures
+ */
+async function runChecks() {
+  let failures = 0;
+  const fail = message => {
+    failures++;
+    console.error(`❌ ${message}`);
+  };
+
+  BLOCKER_CASES.forEach(([text, expected]) => {
+    const actual = detectBlocker(text);
+    if (actual !== expected) {
+      fail(`detectBlocker(${JSON.stringify(text)}): expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  });
+
+  const extractor = new RuleDigestExtractor();
+  for (const [text, expected] of DIGEST_CASES) {
+    const actual = await extractor.extract(text);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      fail(`digest of ${JSON.stringify(text)}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+
+  MISSING_CASES.forEach(([text, expected]) => {
+    const actual = findMissingSections(text, ['yesterday', 'today', 'blockers']);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      fail(`findMissingSections(${JSON.stringify(text)}): expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  });
+
+  return failures;
+}
+
+const failures = await runChecks();
+if (failures > 0) {
+  console.error(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('✅ All reply checks passed');
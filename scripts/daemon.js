@@ -0,0 +1,73 @@
+import { loadTeams, resolveConfigPath } from '../lib/config.js';
+import { createContext, runTeams, logTeamsSummary } from '../lib/runner.js';
+import StandupScheduler from '../lib/scheduler.js';
+import { hasFlag, isEnabled } from '../lib/cli.js';
+
+// Dry-run mode: scheduled runs compute reminders but never post to Slack
+const dryRun = hasFlag('dry-run') || isEnabled(process.env.DRY_RUN);
+
+/**
+ * Main function: schedule all teams and keep running
+ */
+function main() {
+  console.log('🚀 Starting standup reminder scheduler...');
+  if (dryRun) {
+    console.log('🧪 Dry-run mode: nothing will be posted to Slack');
+  }
+
+  let teams;
+  let context;
+  try {
+    teams = loadTeams();
+    context = createContext({ dryRun });
+  } catch (error) {
+    console.error('❌ Fatal error loading configuration:', error.message);
+    process.exit(1);
+  }
+
+  const scheduler = new StandupScheduler({
+    teams,
+    runTeam: async (team, { mode, stageName }) => {
+      const results = await runTeams([team], context, { mode, stageName, dryRun });
+      logTeamsSummary(results);
+    }
+  });
+
+  const jobCount = scheduler.start();
+  if (jobCount === 0) {
+    console.error('❌ No teams were scheduled. Add stage "at" times or a "schedule" to the teams config.');
+    process.exit(1);
+  }
+
+  console.log(`\n✅ Scheduler running with ${jobCount} jobs. Press Ctrl+C to stop.`);
+
+  const shutdown = signal => {
+    console.log(`\n👋 Received ${signal}, stopping scheduler`);
+    scheduler.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+// Validate required environment variables
+// CHANNEL_ID and USERGROUP_ID are only required without a teams config file
+const requiredEnvVars = {
+  'SLACK_BOT_TOKEN': process.env.SLACK_BOT_TOKEN,
+  ...(resolveConfigPath() ? {} : {
+    'CHANNEL_ID': process.env.CHANNEL_ID,
+    'USERGROUP_ID': process.env.USERGROUP_ID
+  })
+};
+
+const missingVars = Object.entries(requiredEnvVars)
+  .filter(([name, value]) => !value)
+  .map(([name]) => name);
+
+if (missingVars.length > 0) {
+  console.error('❌ Missing required environment variables:');
+  missingVars.forEach(name => console.error(`   - ${name}`));
+  process.exit(1);
+}
+
+main();
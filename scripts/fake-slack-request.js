@@ -0,0 +1,73 @@
+import axios from 'axios';
+import { signSlackRequest } from '../lib/slack-signature.js';
+import { ACTION_PREFIX } from '../lib/interactions.js';
+import { getOption } from '../lib/cli.js';
+import { getDateString } from '../lib/time.js';
+
+// Sends a signed fake Slack request to a locally running server, e.g.
+//   node scripts/fake-slack-request.js interaction --user U123 --action off_today
+//   node scripts/fake-slack-request.js command --user U123 --channel C123 --text "status"
+const kind = process.argv[2];
+const url = getOption('url') || `http://localhost:${process.env.PORT || 3000}`;
+const userId = getOption('user') || 'U0000TEST';
+
+/**
+ * Build the form-encoded body for the requested kind of fake request
+ */
+function buildRequest() {
+  if (kind === 'interaction') {
+    const payload = {
+      type: 'block_actions',
+      user: { id: userId },
+      actions: [{
+        action_id: `${ACTION_PREFIX}${getOption('action') || 'later_today'}`,
+        value: JSON.stringify({
+          team: getOption('team') || 'default',
+          date: getOption('date') || getDateString(new Date(), process.env.TIMEZONE || undefined)
+        })
+      }]
+    };
+    return { path: '/slack/interactions', body: new URLSearchParams({ payload: JSON.stringify(payload) }).toString() };
+  }
+
+  if (kind === 'command') {
+    const params = {
+      command: '/standup',
+      text: getOption('text') || 'help',
+      user_id: userId,
+      channel_id: getOption('channel') || ''
+    };
+    return { path: '/slack/commands', body: new URLSearchParams(params).toString() };
+  }
+
+  console.error('Usage:');
+  console.error('  node scripts/fake-slack-request.js interaction --user U123 --action later_today|off_today|skip_week [--date YYYY-MM-DD] [--url http://localhost:3000]');
+  console.error('  node scripts/fake-slack-request.js command --user U123 --channel C123 --text "status" [--url http://localhost:3000]');
+  process.exit(1);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { path, body } = buildRequest();
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const response = await axios.post(`${url}${path}`, body, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': timestamp,
+        'X-Slack-Signature': signSlackRequest(process.env.SLACK_SIGNING_SECRET || '', timestamp, body)
+      },
+      timeout: 5000,
+      validateStatus: () => true
+    });
+    console.log(`${response.status} ${JSON.stringify(response.data)}`);
+  } catch (error) {
+    console.error('❌ Request failed:', error.message);
+    process.exit(1);
+  }
+}
+
+await main();
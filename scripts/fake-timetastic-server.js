@@ -0,0 +1,99 @@
+import fs from 'fs';
+import http from 'http';
+import { getOption } from '../lib/cli.js';
+import { getDateString } from '../lib/time.js';
+
+// Local stand-in for the Timetastic API, for trying the client without a
+// real account. Point the bot at it with TIMETASTIC_BASE_URL, e.g.
+//   node scripts/fake-timetastic-server.js --port 3001 --page-size 2 --fail 2
+//   TIMETASTIC_BASE_URL=http://localhost:3001/api TIMETASTIC_API_KEY=test npm run remind:dry-run
+const port = Number(getOption('port')) || 3001;
+const pageSize = Number(getOption('page-size')) || 50;
+// Answer this many requests with 429 + Retry-After before serving data
+let failuresLeft = Number(getOption('fail')) || 0;
+
+const today = getDateString(new Date(), process.env.TIMEZONE || undefined);
+
+const DEFAULT_DATA = {
+  users: [
+    { id: 1, firstname: 'Anna', surname: 'Ivanova', email: 'anna@example.com' },
+    { id: 2, firstname: 'Ben', surname: 'Taylor', email: 'ben@example.com' },
+    { id: 3, firstname: 'Chloe', surname: 'Smith', email: 'chloe@example.com' }
+  ],
+  holidays: [
+    { userId: 1, userName: 'Anna Ivanova', leaveType: 'Holiday', startDate: today, endDate: today },
+    { userId: 3, userName: 'Chloe Smith', leaveType: 'Working from home', startDate: today, endDate: today }
+  ]
+};
+
+const dataFile = getOption('data');
+const data = dataFile ? JSON.parse(fs.readFileSync(dataFile, 'utf8')) : DEFAULT_DATA;
+
+/**
+ * Slice one page of a list in Timetastic's paged response format
+ */
+function page(items, itemsKey, url) {
+  const pageNumber = Number(url.searchParams.get('PageNumber')) || 1;
+  const start = (pageNumber - 1) * pageSize;
+  const hasNext = start + pageSize < items.length;
+
+  let nextPageLink = null;
+  if (hasNext) {
+    const next = new URL(url);
+    next.searchParams.set('PageNumber', String(pageNumber + 1));
+    nextPageLink = next.toString();
+  }
+
+  return {
+    [itemsKey]: items.slice(start, start + pageSize),
+    totalRecords: items.length,
+    pageNumber,
+    nextPageLink
+  };
+}
+
+/**
+ * Absences overlapping the requested Start/End dates
+ */
+function filterHolidays(url) {
+  const start = (url.searchParams.get('Start') || '0000-00-00').slice(0, 10);
+  const end = (url.searchParams.get('End') || '9999-99-99').slice(0, 10);
+  return data.holidays.filter(holiday =>
+    holiday.startDate.slice(0, 10) <= end && holiday.endDate.slice(0, 10) >= start);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    send(401, { message: 'Missing API key' });
+    return;
+  }
+
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    send(429, { message: 'Too many requests' }, { 'Retry-After': '1' });
+    return;
+  }
+
+  if (url.pathname === '/api/users') {
+    send(200, page(data.users, 'users', url));
+  } else if (url.pathname === '/api/holidays') {
+    send(200, page(filterHolidays(url), 'holidays', url));
+  } else {
+    send(404, { message: 'Not found' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`✅ Fake Timetastic API listening on http://localhost:${port}/api`);
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
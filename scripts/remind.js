@@ -1,4 +1,5 @@
 import { WebClient } from '@slack/web-api';
+import { isSameDay } from '../lib/time.js';
 
 // Initialize Slack clients
 const botClient = new WebClient(process.env.SLACK_BOT_TOKEN);   // Bot token for posting messages
@@ -10,17 +11,14 @@ const userGroupId = process.env.USERGROUP_ID;
 // Keywords to identify standup messages from Workflow Builder
 const standupKeywords = (process.env.STANDUP_KEYWORDS || 'standup,стендап,daily').toLowerCase().split(',');
 const reminderText = process.env.REMINDER_TEXT || 'Коллеги, напоминаю про стендап! Пожалуйста, отпишитесь в треде до 13:00 📝';
+// Timezone that decides which calendar day "today" is (server timezone by default)
+const timeZone = process.env.TIMEZONE || undefined;
 
 /**
- * Check if a timestamp is from today
+ * Check if a timestamp is from today (in TIMEZONE if set)
  */
 function isToday(timestampSeconds) {
-  const messageDate = new Date(timestampSeconds * 1000);
-  const today = new Date();
-  
-  return messageDate.getFullYear() === today.getFullYear() &&
-         messageDate.getMonth() === today.getMonth() &&
-         messageDate.getDate() === today.getDate();
+  return isSameDay(new Date(timestampSeconds * 1000), new Date(), timeZone);
 }
 
 /**
@@ -0,0 +1,66 @@
+import { createSlackServer } from '../lib/server.js';
+import { handleInteraction } from '../lib/interactions.js';
+import { handleSlashCommand } from '../lib/commands.js';
+import UserPreferences from '../lib/preferences.js';
+import { loadTeams } from '../lib/config.js';
+import { createContext } from '../lib/runner.js';
+
+const port = Number(process.env.PORT) || 3000;
+const preferences = new UserPreferences();
+
+/**
+ * Main function: serve Slack interactivity requests and slash commands
+ */
+function main() {
+  let teams;
+  let context;
+  try {
+    teams = loadTeams();
+    context = createContext();
+  } catch (error) {
+    console.error('❌ Fatal error loading configuration:', error.message);
+    process.exit(1);
+  }
+
+  const server = createSlackServer({
+    signingSecret: process.env.SLACK_SIGNING_SECRET,
+    routes: {
+      '/slack/interactions': async params => {
+        await handleInteraction(JSON.parse(params.payload || '{}'), { preferences });
+        return null;
+      },
+      '/slack/commands': params => handleSlashCommand(params, { teams, context, preferences })
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`✅ Slack endpoint listening on http://localhost:${port}`);
+    console.log('   POST /slack/interactions - reminder buttons');
+    console.log('   POST /slack/commands - /standup slash command');
+  });
+
+  const shutdown = signal => {
+    console.log(`\n👋 Received ${signal}, stopping server`);
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+// Validate required environment variables
+const requiredEnvVars = {
+  'SLACK_SIGNING_SECRET': process.env.SLACK_SIGNING_SECRET,
+  'SLACK_BOT_TOKEN': process.env.SLACK_BOT_TOKEN
+};
+
+const missingVars = Object.entries(requiredEnvVars)
+  .filter(([name, value]) => !value)
+  .map(([name]) => name);
+
+if (missingVars.length > 0) {
+  console.error('❌ Missing required environment variables:');
+  missingVars.forEach(name => console.error(`   - ${name}`));
+  process.exit(1);
+}
+
+main();
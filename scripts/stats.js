@@ -0,0 +1,78 @@
+import fs from 'fs';
+import ParticipationHistory from '../lib/history.js';
+import { computeStats, formatTable, formatCsv, PEOPLE_COLUMNS, TEAM_COLUMNS } from '../lib/stats.js';
+import { getOption } from '../lib/cli.js';
+import { getDateString } from '../lib/time.js';
+
+const PERIOD_DAYS = { week: 7, month: 30 };
+
+const period = getOption('period') || 'week';
+const format = getOption('format') || 'table';
+const scope = getOption('scope') || 'people';
+const team = getOption('team') || null;
+const output = getOption('output');
+
+/**
+ * Resolve the "YYYY-MM-DD" date range from --from/--to or --period
+ */
+function resolveRange() {
+  const timeZone = process.env.TIMEZONE || undefined;
+  const to = getOption('to') || getDateString(new Date(), timeZone);
+
+  if (getOption('from')) {
+    return { from: getOption('from'), to };
+  }
+
+  const days = PERIOD_DAYS[period];
+  const fromDate = new Date(Date.parse(`${to}T00:00:00Z`) - (days - 1) * 86400000);
+  return { from: fromDate.toISOString().slice(0, 10), to };
+}
+
+/**
+ * Main function
+ */
+function main() {
+  if (!PERIOD_DAYS[period]) {
+    console.error(`❌ Unknown period "${period}" (expected week or month)`);
+    process.exit(1);
+  }
+  if (!['table', 'csv', 'json'].includes(format)) {
+    console.error(`❌ Unknown format "${format}" (expected table, csv or json)`);
+    process.exit(1);
+  }
+  if (!['people', 'teams'].includes(scope)) {
+    console.error(`❌ Unknown scope "${scope}" (expected people or teams)`);
+    process.exit(1);
+  }
+
+  const { from, to } = resolveRange();
+  const history = new ParticipationHistory(undefined, { readOnly: true });
+  const days = history.getDays({ team, from, to });
+  const stats = computeStats(days);
+
+  let result;
+  if (format === 'json') {
+    result = JSON.stringify({ from, to, team, ...stats }, null, 2);
+  } else if (format === 'csv') {
+    result = scope === 'teams' ?
+      formatCsv(TEAM_COLUMNS, stats.teams) :
+      formatCsv(PEOPLE_COLUMNS, stats.people);
+  } else {
+    result = [
+      `📊 Standup participation ${from} → ${to}${team ? ` (team ${team})` : ''}: ${days.length} team-days recorded`,
+      '',
+      formatTable(TEAM_COLUMNS, stats.teams),
+      '',
+      formatTable(PEOPLE_COLUMNS, stats.people)
+    ].join('\n');
+  }
+
+  if (output) {
+    fs.writeFileSync(output, result + '\n');
+    console.log(`✅ Stats written to ${output}`);
+  } else {
+    console.log(result);
+  }
+}
+
+main();